@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const {JwsLinkedDataSignature} =
+  require('@digitalbazaar/jws-linked-data-signature');
+const {constants: {SECURITY_CONTEXT_V2_URL}} = require('jsonld-signatures');
+
+// an `RsaVerificationKey2018` expressed with `publicKeyPem`
+class RsaVerificationKey2018 {
+  constructor({id, controller, publicKeyPem, privateKeyPem} = {}) {
+    this.id = id;
+    this.type = 'RsaVerificationKey2018';
+    this.controller = controller;
+    this.publicKeyPem = publicKeyPem;
+    this.privateKeyPem = privateKeyPem;
+  }
+
+  static async from(options) {
+    return new RsaVerificationKey2018(options);
+  }
+
+  export({publicKey = false, privateKey = false} = {}) {
+    const exportedKey = {id: this.id, type: this.type};
+    if(this.controller) {
+      exportedKey.controller = this.controller;
+    }
+    if(publicKey) {
+      exportedKey.publicKeyPem = this.publicKeyPem;
+    }
+    if(privateKey) {
+      exportedKey.privateKeyPem = this.privateKeyPem;
+    }
+    return exportedKey;
+  }
+
+  signer() {
+    const {id, privateKeyPem} = this;
+    return {
+      id,
+      async sign({data}) {
+        return crypto.sign('sha256', data, {
+          key: privateKeyPem,
+          padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+          saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+        });
+      }
+    };
+  }
+
+  verifier() {
+    const {id, publicKeyPem} = this;
+    return {
+      id,
+      async verify({data, signature}) {
+        return crypto.verify('sha256', data, {
+          key: publicKeyPem,
+          padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+          saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+        }, signature);
+      }
+    };
+  }
+}
+
+// `RsaSignature2018` JWS signatures use `PS256`, the terms for the suite are
+// defined in the security v2 context (which the DID and Web Ledger contexts
+// include)
+class RsaSignature2018 extends JwsLinkedDataSignature {
+  constructor({key, signer, verifier, proof, date, useNativeCanonize} = {}) {
+    super({
+      type: 'RsaSignature2018', alg: 'PS256',
+      LDKeyClass: RsaVerificationKey2018, contextUrl: SECURITY_CONTEXT_V2_URL,
+      key, signer, verifier, proof, date, useNativeCanonize
+    });
+    this.requiredKeyType = 'RsaVerificationKey2018';
+  }
+
+  async assertVerificationMethod({verificationMethod}) {
+    if(![].concat(verificationMethod.type).includes(this.requiredKeyType)) {
+      throw new Error(
+        `Invalid key type. Key type must be "${this.requiredKeyType}".`);
+    }
+    if(typeof verificationMethod.publicKeyPem !== 'string') {
+      throw new Error('The verification method must have a "publicKeyPem".');
+    }
+    // ensure verification method has not been revoked
+    if(verificationMethod.revoked !== undefined) {
+      throw new Error('The verification method has been revoked.');
+    }
+  }
+}
+
+module.exports = {RsaSignature2018, RsaVerificationKey2018};
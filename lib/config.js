@@ -6,14 +6,49 @@
 const {config} = require('bedrock');
 const path = require('path');
 
+// the context of ValidatorParameterSet terms that are not defined by the
+// Veres One context, see `lib/validatorContext.js`
+config.constants.VERES_ONE_VALIDATOR_CONTEXT_V1_URL =
+  'https://w3id.org/veres-one/validator/v1';
+
 config['veres-one-validator'] = {};
 const cfg = config['veres-one-validator'];
 
-cfg.updateSignatureType = ['RsaSignature2018', 'Ed25519Signature2018'];
+// the proof types accepted on operations and ledger configurations, each type
+// must have a suite registered via `registerSignatureSuite`
+cfg.updateSignatureType = [
+  'RsaSignature2018',
+  'Ed25519Signature2018',
+  'Ed25519Signature2020',
+];
 
 // DIDs are created and validated in "dev" mode
 cfg.environment = 'dev';
 
+// the protocol versions and the `basisBlockHeight` each is activated at, an
+// operation is validated under the rules of the latest version activated at
+// its `basisBlockHeight`, see `lib/protocolVersions.js`; version 1 has the
+// rules of historical blocks, accelerator proofs are verified and ledger
+// configuration amendments are accepted from version 2 and clients move from
+// the `create` and `update` capability actions to `write` in the window
+// between the activation of version 3, which accepts both and flags the old
+// actions as deprecated, and version 4, which only accepts `write`; by
+// default accelerator proofs are verified, a ledger with blocks that were
+// accepted with `MOCKPROOF` accelerator proofs must activate version 1 at
+// height 0 and version 2 at the height its proofs are verified from
+cfg.protocolVersions = [
+  {version: 2, activationHeight: 0},
+];
+
+// DID documents resolved by the proof document loader at a block height are
+// cached across validations, set `size` to 0 to disable the cache
+cfg.didDocumentCache = {
+  // the maximum number of cached DID documents
+  size: 1000,
+  // the time, in milliseconds, a DID document is cached for
+  ttl: 5 * 60 * 1000,
+};
+
 // common validation schemas
 config.validation.schema.paths.push(
   path.join(__dirname, '..', 'schemas')
@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config, util: {clone}} = bedrock;
+const LRU = require('lru-cache');
+
+const api = {};
+module.exports = api;
+
+// created on first use so that the cache config may be changed until then
+let _cache;
+const _stats = {hits: 0, misses: 0};
+
+/**
+ * Gets a record from the ledger as of `maxBlockHeight`. A record at a fixed
+ * `maxBlockHeight` cannot change, so records are cached across validations
+ * by ledger node ID, record ID and `maxBlockHeight`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.ledgerNode - The ledger node.
+ * @param {string} options.recordId - The record ID.
+ * @param {number} options.maxBlockHeight - The block height to get the
+ *   record at.
+ *
+ * @returns {Promise<object>} The result from `ledgerNode.records.get`.
+ */
+api.get = async ({ledgerNode, recordId, maxBlockHeight}) => {
+  const cache = _getCache();
+  // records are only cached for a fixed height on an identified ledger node
+  if(!(cache && ledgerNode.id && Number.isInteger(maxBlockHeight))) {
+    return ledgerNode.records.get({maxBlockHeight, recordId});
+  }
+  const key = JSON.stringify([ledgerNode.id, recordId, maxBlockHeight]);
+  let promise = cache.get(key);
+  if(promise) {
+    _stats.hits++;
+  } else {
+    _stats.misses++;
+    promise = ledgerNode.records.get({maxBlockHeight, recordId});
+    // concurrent dereferences of the same DID share a lookup
+    cache.set(key, promise);
+    // do not cache errors, they may be transient
+    promise.catch(() => cache.del(key));
+  }
+  // the document loader callers may mutate the record
+  return clone(await promise);
+};
+
+/**
+ * Gets the cache statistics.
+ *
+ * @returns {object} The number of cache `hits` and `misses` and the number
+ *   of cached records (`size`).
+ */
+api.getStats = () => ({..._stats, size: _cache ? _cache.length : 0});
+
+/**
+ * Empties the cache and resets its statistics. The cache is created again,
+ * from the current config, on next use.
+ */
+api.reset = () => {
+  _cache = undefined;
+  _stats.hits = _stats.misses = 0;
+};
+
+function _getCache() {
+  const {size, ttl} = config['veres-one-validator'].didDocumentCache;
+  if(size === 0) {
+    // caching is disabled
+    return;
+  }
+  if(!_cache) {
+    _cache = new LRU({max: size, maxAge: ttl});
+  }
+  return _cache;
+}
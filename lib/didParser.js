@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {util: {BedrockError}} = bedrock;
+
+const api = {};
+module.exports = api;
+
+// the method-specific ID patterns by DID kind, a cryptonym (`nym`) ID is
+// derived from a key fingerprint and a `uuid` ID is a version 4 UUID
+const ID_PATTERNS = {
+  nym: '[-_A-Za-z0-9.]+',
+  uuid: '[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-4[a-fA-F0-9]{3}-[89abAB][a-fA-F0-9]{3}' +
+    '-[a-fA-F0-9]{12}',
+};
+
+// the network prefixes of a DID, `live` DIDs, which are also used in the
+// "dev" environment, have no prefix
+const NETWORK_PREFIXES = {
+  live: '',
+  test: 'test:',
+};
+
+// did:v1:[test:](nym|uuid):<id>[;<param>...][/<path>][?<query>][#<fragment>]
+const DID_URL_REGEX = new RegExp(
+  '^did:v1:(?:(test):)?([a-z]+):([^;/?#]+)' +
+  '((?:;[^;/?#]*)*)(/[^?#]*)?(?:\\?([^#]*))?(?:#(.*))?$');
+
+/**
+ * Parses a Veres One DID or DID URL.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The DID or DID URL.
+ * @param {string} [options.network] - The network, `live` or `test`, the DID
+ *   must be for.
+ *
+ * @throws {BedrockError} SyntaxError if `url` is not a valid Veres One DID
+ *   URL or is not for `network`.
+ *
+ * @returns {object} The `did`, `network`, `kind` (`nym` or `uuid`),
+ *   method-specific `id`, `params` (an object), `path`, `query` and
+ *   `fragment`, a component that is not in `url` is `null`.
+ */
+api.parse = ({url, network}) => {
+  const match = typeof url === 'string' && DID_URL_REGEX.exec(url);
+  if(!match) {
+    throw _syntaxError({reason: 'The DID URL is malformed.', url});
+  }
+  const [, test, kind, id, params, path, query, fragment] = match;
+  if(!ID_PATTERNS[kind]) {
+    throw _syntaxError({reason: `Unknown DID kind "${kind}".`, url});
+  }
+  if(!new RegExp(`^${ID_PATTERNS[kind]}$`).test(id)) {
+    throw _syntaxError(
+      {reason: `The method-specific ID is not a valid "${kind}" ID.`, url});
+  }
+  const didNetwork = test ? 'test' : 'live';
+  if(network && network !== didNetwork) {
+    throw _syntaxError(
+      {reason: `The DID is not for the "${network}" network.`, url});
+  }
+  const parsed = {
+    did: `did:v1:${NETWORK_PREFIXES[didNetwork]}${kind}:${id}`,
+    network: didNetwork,
+    kind,
+    id,
+    params: {},
+    path: path === undefined ? null : path,
+    query: query === undefined ? null : query,
+    fragment: fragment === undefined ? null : fragment,
+  };
+  // each parameter is `<name>=<value>`, e.g. `;service=<name>`
+  for(const param of params.split(';').slice(1)) {
+    const [, name, value] = /^([^=]+)=(.*)$/.exec(param) || [];
+    if(!name || parsed.params.hasOwnProperty(name)) {
+      throw _syntaxError({reason: `Invalid DID parameter "${param}".`, url});
+    }
+    parsed.params[name] = value;
+  }
+  return parsed;
+};
+
+/**
+ * Gets the network of the DIDs in an environment.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.environment - The environment, e.g. `dev`.
+ *
+ * @returns {string} The network, `live` or `test`.
+ */
+api.getNetwork = ({environment}) => environment === 'test' ? 'test' : 'live';
+
+/**
+ * Creates the JSON schema pattern for a DID, or for a DID URL with a
+ * fragment, of a kind on a network. The pattern agrees with `parse`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.kind - The DID kind, `nym` or `uuid`.
+ * @param {string} options.network - The network, `live` or `test`.
+ * @param {string} [options.fragment] - The pattern for the fragment of a DID
+ *   URL.
+ *
+ * @returns {string} The pattern.
+ */
+api.createPattern = ({kind, network, fragment}) => {
+  const did =
+    `did:v1:${NETWORK_PREFIXES[network]}${kind}:(${ID_PATTERNS[kind]})`;
+  return fragment ? `^${did}#${fragment}$` : `^${did}$`;
+};
+
+function _syntaxError({reason, url}) {
+  return new BedrockError(
+    'Invalid DID URL.', 'SyntaxError', {
+      httpStatusCode: 400,
+      public: true,
+      reason,
+      url,
+    });
+}
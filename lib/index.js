@@ -1,17 +1,45 @@
 /*!
- * Copyright (c) 2017-2018 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
  */
 'use strict';
 
 const _ = require('lodash');
 const bedrock = require('bedrock');
+const {config: {constants}, util: {BedrockError}} = bedrock;
 const brLedgerNode = require('bedrock-ledger-node');
-const {validate} = require('bedrock-validation');
+// the validation config is extended by `./config`
+require('bedrock-validation');
+const {jsonLdDocumentLoader} = require('bedrock-jsonld-document-loader');
+const didContext = require('did-context');
+const ed25519Signature2018Context = require('ed25519-signature-2018-context');
+const {constants: {CONTEXT_URL: ED25519_2020_CONTEXT_V1_URL}, contexts} =
+  require('ed25519-signature-2020-context');
 require('bedrock-ledger-context');
 require('bedrock-veres-one-context');
 
 require('./config');
+const didDocumentCache = require('./didDocumentCache');
+const protocolVersions = require('./protocolVersions');
+const recordTypes = require('./recordTypes');
+const signatureSuites = require('./signatureSuites');
 const _validators = require('./validators');
+const helpers = require('./validators/helpers');
+const validatorContext = require('./validatorContext');
+
+// the Ed25519Signature2020 context is used by `Ed25519VerificationKey2020`
+// keys and `Ed25519Signature2020` proofs
+jsonLdDocumentLoader.addStatic(
+  ED25519_2020_CONTEXT_V1_URL, contexts.get(ED25519_2020_CONTEXT_V1_URL));
+// DID Core 1.0 documents use the DID v1 context and the context of each of
+// their verification method types
+for(const {contexts} of [didContext, ed25519Signature2018Context]) {
+  for(const [url, context] of contexts) {
+    jsonLdDocumentLoader.addStatic(url, context);
+  }
+}
+// the validator context is used by ValidatorParameterSet documents
+jsonLdDocumentLoader.addStatic(
+  constants.VERES_ONE_VALIDATOR_CONTEXT_V1_URL, validatorContext);
 
 const api = {};
 module.exports = api;
@@ -36,14 +64,146 @@ api.mustValidate = async ({validatorConfig, validatorInput}) => {
   return true;
 };
 
+/**
+ * Gets the hit and miss statistics of the cache of DID documents resolved by
+ * the proof document loader, see `didDocumentCache.getStats`.
+ */
+api.getDidDocumentCacheStats = didDocumentCache.getStats;
+
+/**
+ * Registers a `did:v1:uuid:` record type with its schema, authorization rules,
+ * create and update validators and update rules, see `recordTypes.register`.
+ */
+api.registerRecordType = recordTypes.register;
+
+/**
+ * Registers a signature suite for a proof `type`, see
+ * `signatureSuites.register`. The suite is only used when `type` is listed
+ * in the `updateSignatureType` config.
+ */
+api.registerSignatureSuite = signatureSuites.register;
+
 api.validateConfiguration = async ({validatorConfig}) => {
-  return validate('veres-one-validator.validatorConfig', validatorConfig);
+  // the DIDs in the config are for the network it selects
+  return helpers.validateSchema({
+    schema: 'veres-one-validator.validatorConfig', document: validatorConfig,
+    network: helpers.getNetwork({validatorConfig})
+  });
+};
+
+/**
+ * Validates a ledger operation or configuration.
+ *
+ * @param {object} options - The options to use.
+ * @param {boolean} [options.allErrors=false] - Set to continue validating an
+ *   operation after a failure. The error then has an `errors` detail with
+ *   every error found, each with a JSON `pointer` detail into the operation.
+ *   A schema failure is reported alone since the other checks require a
+ *   well-formed operation.
+ * @param {object} [options.ledgerConfig] - The ledger configuration.
+ * @param {object} options.ledgerNode - The ledger node.
+ * @param {object} options.validatorConfig - The validator configuration.
+ * @param {object} options.validatorInput - The operation or configuration.
+ * @param {number} options.basisBlockHeight - The block height to validate at.
+ *   It selects the protocol version whose rules are used, see the
+ *   `protocolVersions` config.
+ *
+ * @returns {Promise<object>} The validation result with the
+ *   `protocolVersion` it was validated under and, if the operation uses a
+ *   feature that version deprecates, `warnings` with a `code`, a `message`
+ *   and a JSON `pointer` into the operation.
+ */
+api.validate = async options => _validate(options);
+
+/**
+ * Validates a ledger operation or configuration like `validate` and also
+ * returns a trace of how it was validated. The trace lists the schemas that
+ * were applied, the DID URLs that were resolved (with the `maxBlockHeight`
+ * they were resolved at), the proof verification results, the
+ * ValidatorParameterSet records that were used and the elapsed time, in
+ * milliseconds, of each validation stage.
+ *
+ * @param {object} options - The same options as `validate`.
+ *
+ * @returns {Promise<object>} The validation result with a `trace`.
+ */
+api.explain = async options => {
+  const trace = helpers.createTrace();
+  const result = await _validate({...options, trace});
+  return {...result, trace};
+};
+
+/**
+ * Validates a batch of ledger operations, such as the operations in an
+ * event. The operations are validated like `validate` against the same
+ * ledger state, sharing record and ValidatorParameterSet lookups. An
+ * operation that conflicts with an earlier valid operation in the batch, a
+ * create of the same record or an update of the same record with the same
+ * `sequence`, is rejected with a `ConflictError`.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array} options.operations - The operations.
+ * @param {object} options.ledgerNode - The ledger node.
+ * @param {number} options.basisBlockHeight - The block height to validate at.
+ * @param {object} [options.ledgerConfig] - The ledger configuration.
+ * @param {object} options.validatorConfig - The validator configuration.
+ * @param {boolean} [options.allErrors=false] - See `validate`.
+ *
+ * @returns {Promise<object>} The validation result with the `results` for
+ *   each operation, in order.
+ */
+api.validateBatch = async ({operations, ledgerNode, ...options} = {}) => {
+  if(!Array.isArray(operations)) {
+    throw new TypeError('"operations" must be an array.');
+  }
+  if(!ledgerNode) {
+    throw new TypeError('"ledgerNode" must be a LedgerNode instance.');
+  }
+  const batchLedgerNode = helpers.createBatchLedgerNode({ledgerNode});
+  // the index of the valid operation on a record by conflict key
+  const accepted = new Map();
+  const results = [];
+  for(const [index, validatorInput] of operations.entries()) {
+    if(!_isObject(validatorInput)) {
+      const error = new BedrockError(
+        'The operation must be an object.', 'ValidationError', {
+          httpStatusCode: 400,
+          public: true,
+          operationIndex: index,
+        });
+      results.push({valid: false, error});
+      continue;
+    }
+    const conflict = _getConflictKey({operation: validatorInput});
+    if(conflict && accepted.has(conflict.key)) {
+      const {recordId, sequence} = conflict;
+      const error = new BedrockError(
+        'The operation conflicts with another operation in the batch.',
+        'ConflictError', {
+          httpStatusCode: 409,
+          public: true,
+          conflictingOperationIndex: accepted.get(conflict.key),
+          operationIndex: index,
+          recordId,
+          sequence,
+        });
+      results.push({valid: false, error});
+      continue;
+    }
+    const result = await _validate(
+      {...options, ledgerNode: batchLedgerNode, validatorInput});
+    if(conflict && result.valid) {
+      accepted.set(conflict.key, index);
+    }
+    results.push(result);
+  }
+  return {valid: results.every(({valid}) => valid), results};
 };
 
-api.validate = async ({
-  ledgerConfig = {}, ledgerNode, validatorConfig, validatorInput,
-  basisBlockHeight
-} = {}) => {
+async function _validate({
+  allErrors = false, ledgerConfig = {}, ledgerNode, validatorConfig,
+  validatorInput, basisBlockHeight, trace
+} = {}) {
   if(!ledgerNode) {
     throw new TypeError('"ledgerNode" must be a LedgerNode instance.');
   }
@@ -55,34 +215,163 @@ api.validate = async ({
   ) {
     throw new TypeError('"basisBlockHeight" must be an integer >= 0.');
   }
+  // the rules are those of the protocol version active at `basisBlockHeight`
+  const {version: protocolVersion, rules} = protocolVersions.get(
+    {basisBlockHeight});
+  const result = await _validateInput({
+    allErrors, basisBlockHeight, ledgerConfig, ledgerNode, rules, trace,
+    validatorConfig, validatorInput
+  });
+  // only an operation that is accepted has warnings
+  const warnings = result.valid ? _getWarnings({rules, validatorInput}) : [];
+  if(warnings.length > 0) {
+    return {...result, protocolVersion, warnings};
+  }
+  return {...result, protocolVersion};
+}
 
+async function _validateInput({
+  allErrors, basisBlockHeight, ledgerConfig, ledgerNode, rules, trace,
+  validatorConfig, validatorInput
+}) {
   if(validatorInput.type === 'WebLedgerConfiguration') {
-    return _validators.webLedgerConfiguration({ledgerNode, validatorInput});
+    return helpers.traceStage({
+      trace, stage: 'webLedgerConfiguration', pointer: '',
+      fn: () => _validators.webLedgerConfiguration({
+        basisBlockHeight, ledgerConfig, ledgerNode, rules, trace,
+        validatorInput
+      })
+    });
   }
 
-  let result = validate('veres-one-validator.operation', validatorInput);
-  if(!result.valid) {
+  const {validatorParameterSet} = validatorConfig;
+  const network = helpers.getNetwork({validatorConfig});
+  // the size limits declared in the ValidatorParameterSet
+  let limits;
+  const result = await helpers.runChecks({allErrors, trace, checks: [{
+    stage: 'operationSchema',
+    pointer: '',
+    // the other checks require a well-formed operation
+    prerequisite: true,
+    check: async () => _validateOperationSchema(
+      {allErrors, network, trace, validatorInput})
+  }, {
+    stage: 'limits',
+    pointer: '',
+    // an operation that is too large is rejected before proof verification
+    prerequisite: true,
+    check: async () => {
+      const result = await helpers.loadValidatorParameterSet({
+        basisBlockHeight, ledgerNode, trace, validatorParameterSet
+      });
+      if(!result.valid) {
+        return result;
+      }
+      limits = result.validatorParameterSet || {};
+      return helpers.validateOperationLimits({limits, validatorInput});
+    }
+  }, {
+    stage: 'proofs',
+    pointer: '/proof',
+    check: () => _validators.proofs({
+      allErrors, basisBlockHeight, ledgerConfig, ledgerNode, rules, trace,
+      validatorConfig, validatorInput
+    })
+  }, {
+    stage: 'record',
+    pointer: '',
+    check: () => {
+      const electorPool = _.get(
+        ledgerConfig, 'electorSelectionMethod.electorPool');
+      if(validatorInput.type === 'CreateWebLedgerRecord') {
+        return _validators.createWebLedgerRecord({
+          allErrors, basisBlockHeight, electorPool, ledgerNode, network,
+          trace, validatorInput, validatorParameterSet
+        });
+      }
+      // must be an UpdateWebLedgerRecord op
+      return _validators.updateWebLedgerRecord({
+        allErrors, basisBlockHeight, electorPool, ledgerNode, limits, network,
+        trace, validatorInput, validatorParameterSet
+      });
+    }
+  }]});
+  if(result.valid || !allErrors) {
     return result;
   }
+  const {errors} = result;
+  const error = new BedrockError(
+    'The operation is invalid.', 'ValidationError', {
+      httpStatusCode: 400,
+      public: true,
+      errors
+    });
+  return {valid: false, error};
+}
 
-  result = await _validators.proofs(
-    {basisBlockHeight, ledgerNode, validatorInput});
-  if(!result.valid) {
+// in collect-all-errors mode, each schema error is reported with a pointer
+function _validateOperationSchema({
+  allErrors, network, trace, validatorInput
+}) {
+  const result = helpers.validateSchema({
+    schema: 'veres-one-validator.operation', document: validatorInput,
+    network, trace
+  });
+  if(result.valid || !allErrors) {
     return result;
   }
+  const errors = result.error.details.errors.map(error => {
+    error.details.pointer = helpers.toJsonPointer(error.details.path);
+    return error;
+  });
+  return {valid: false, error: errors[0], errors};
+}
 
-  const electorPool = _.get(ledgerConfig, 'electorSelectionMethod.electorPool');
-  const {validatorParameterSet} = validatorConfig;
+// an operation that is accepted under the active protocol version may still
+// use features it deprecates
+function _getWarnings({rules, validatorInput}) {
+  const warnings = [];
+  const proofs = [].concat(validatorInput.proof || []);
+  for(const [index, proof] of proofs.entries()) {
+    const {capabilityAction} = _isObject(proof) ? proof : {};
+    if(rules.deprecatedCapabilityAction.includes(capabilityAction)) {
+      warnings.push({
+        code: 'DEPRECATED_CAPABILITY_ACTION',
+        message: `The "${capabilityAction}" capability action is ` +
+          'deprecated, use "write" instead.',
+        capabilityAction,
+        pointer: Array.isArray(validatorInput.proof) ? `/proof/${index}` :
+          '/proof',
+      });
+    }
+  }
+  return warnings;
+}
 
-  if(validatorInput.type === 'CreateWebLedgerRecord') {
-    return _validators.createWebLedgerRecord({
-      basisBlockHeight, electorPool, ledgerNode, validatorInput,
-      validatorParameterSet
-    });
+// the first valid operation on a record in a batch wins, a later create of
+// the same record or update with the same sequence conflicts with it, so an
+// invalid operation cannot block a valid one; a malformed operation, one
+// without a record ID, has no conflict key and is rejected when it is
+// validated
+function _getConflictKey({operation}) {
+  let recordId;
+  let sequence;
+  let key;
+  if(operation.type === 'CreateWebLedgerRecord' &&
+    _isObject(operation.record)) {
+    ({id: recordId} = operation.record);
+    key = JSON.stringify(['create', recordId]);
+  } else if(operation.type === 'UpdateWebLedgerRecord' &&
+    _isObject(operation.recordPatch)) {
+    ({target: recordId, sequence} = operation.recordPatch);
+    key = JSON.stringify(['update', recordId, sequence]);
   }
-  // must be an UpdateWebLedgerRecord op
-  return _validators.updateWebLedgerRecord({
-    basisBlockHeight, electorPool, ledgerNode, validatorInput,
-    validatorParameterSet
-  });
-};
+  if(typeof recordId !== 'string') {
+    return null;
+  }
+  return {key, recordId, sequence};
+}
+
+function _isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
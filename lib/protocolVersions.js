@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config, util: {BedrockError}} = bedrock;
+
+const api = {};
+module.exports = api;
+
+// the validation rules of each protocol version, a version is activated at
+// a block height by the `protocolVersions` config
+const RULE_SETS = new Map([
+  // the rules operations were accepted with before versioning, historical
+  // blocks are replayed under them
+  [1, {
+    // whether the accelerator `write` proof is cryptographically verified,
+    // otherwise it must have the `MOCKPROOF` jws
+    verifyAcceleratorProof: false,
+    // whether a ledger configuration may amend the genesis configuration,
+    // otherwise its `sequence` must be 0
+    ledgerConfigurationAmendment: false,
+    // the accepted `capabilityAction`s of the controller proof by operation
+    // type
+    capabilityAction: {
+      CreateWebLedgerRecord: ['create'],
+      UpdateWebLedgerRecord: ['update'],
+    },
+    // the accepted `capabilityAction`s that are flagged as deprecated
+    deprecatedCapabilityAction: [],
+  }],
+  [2, {
+    verifyAcceleratorProof: true,
+    ledgerConfigurationAmendment: true,
+    capabilityAction: {
+      CreateWebLedgerRecord: ['create'],
+      UpdateWebLedgerRecord: ['update'],
+    },
+    deprecatedCapabilityAction: [],
+  }],
+  // the transition from `create` and `update` to `write`, the window during
+  // which both are accepted ends when version 4 is activated
+  [3, {
+    verifyAcceleratorProof: true,
+    ledgerConfigurationAmendment: true,
+    capabilityAction: {
+      CreateWebLedgerRecord: ['write', 'create'],
+      UpdateWebLedgerRecord: ['write', 'update'],
+    },
+    deprecatedCapabilityAction: ['create', 'update'],
+  }],
+  [4, {
+    verifyAcceleratorProof: true,
+    ledgerConfigurationAmendment: true,
+    capabilityAction: {
+      CreateWebLedgerRecord: ['write'],
+      UpdateWebLedgerRecord: ['write'],
+    },
+    deprecatedCapabilityAction: [],
+  }],
+]);
+
+/**
+ * Gets the protocol version that is active at a block height and its rules.
+ * The active version is the configured version with the greatest
+ * `activationHeight` that is not greater than `basisBlockHeight`, so an
+ * operation in a historical block is validated under the rules it was
+ * accepted with.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.basisBlockHeight=0] - The block height.
+ *
+ * @throws {BedrockError} InvalidStateError if no known version is active at
+ *   `basisBlockHeight`.
+ *
+ * @returns {object} The `version` and its `rules`.
+ */
+api.get = ({basisBlockHeight = 0} = {}) => {
+  const {protocolVersions} = config['veres-one-validator'];
+  let active;
+  for(const entry of protocolVersions) {
+    if(entry.activationHeight <= basisBlockHeight &&
+      !(active && active.activationHeight > entry.activationHeight)) {
+      active = entry;
+    }
+  }
+  if(!(active && RULE_SETS.has(active.version))) {
+    throw new BedrockError(
+      'Invalid validator configuration. No known protocol version is active ' +
+      'at the basis block height.', 'InvalidStateError', {
+        httpStatusCode: 400,
+        public: true,
+        basisBlockHeight,
+        version: active && active.version,
+      });
+  }
+  return {version: active.version, rules: RULE_SETS.get(active.version)};
+};
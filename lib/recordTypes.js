@@ -0,0 +1,181 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {util: {BedrockError}} = bedrock;
+const helpers = require('./validators/helpers');
+const schemas = require('../schemas/veres-one-validator');
+
+const api = {};
+module.exports = api;
+
+// registered `did:v1:uuid:` record types by record `type`
+const RECORD_TYPES = new Map();
+// the update rules that are enforced by diffing the original and patched
+// records, see `updateWebLedgerRecord`
+const UPDATE_RULES = ['contextMigration', 'immutable', 'methodIds'];
+// the update rules of a record type that does not give its own, there is no
+// rule for `controller`, the original record is the root capability of an
+// update so the original controller signs any change to it
+const DEFAULT_UPDATE_RULES = [
+  {path: '/@context', rule: 'immutable'},
+  {path: '/id', rule: 'immutable'},
+  {path: '/type', rule: 'immutable'},
+];
+
+/**
+ * Registers a `did:v1:uuid:` record type, such as a governance record. The
+ * hooks are async functions that return a validation result. They are given
+ * the new or patched `record`, the `operationType` and the validation
+ * context: `basisBlockHeight`, `electorPool`, `ledgerNode`, `network`,
+ * `trace`, `validatorInput` and `validatorParameterSet`. Update hooks are also
+ * given the `originalDocument`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The record `type`.
+ * @param {object|Function} options.schema - The JSON schema for a record of
+ *   `type` or a function that returns the schema for a `{network}`.
+ * @param {Function} [options.authorize] - Checks that the operation may
+ *   create or update the record.
+ * @param {Function} [options.validateCreate] - Validates a new record.
+ * @param {Function} [options.validateUpdate] - Validates a patched record.
+ * @param {Array} [options.updateRules] - The `{path, rule}` rules for the
+ *   top-level properties of a patched record, where `path` is a JSON pointer
+ *   and `rule` is `immutable`, `methodIds` or `contextMigration`; defaults to
+ *   an immutable `@context`, `id` and `type`.
+ */
+api.register = ({
+  type, schema, authorize, validateCreate, validateUpdate,
+  updateRules = DEFAULT_UPDATE_RULES
+}) => {
+  if(typeof type !== 'string') {
+    throw new TypeError('"type" must be a string.');
+  }
+  if(!(schema && ['function', 'object'].includes(typeof schema))) {
+    throw new TypeError('"schema" must be an object or a function.');
+  }
+  for(const [name, hook] of Object.entries(
+    {authorize, validateCreate, validateUpdate})) {
+    if(hook !== undefined && typeof hook !== 'function') {
+      throw new TypeError(`"${name}" must be a function.`);
+    }
+  }
+  if(!(Array.isArray(updateRules) && updateRules.every(_isUpdateRule))) {
+    throw new TypeError(
+      '"updateRules" must be an array of "{path, rule}" update rules.');
+  }
+  RECORD_TYPES.set(type, {
+    type, schema, authorize, validateCreate, validateUpdate, updateRules
+  });
+};
+
+/**
+ * Gets a registered record type.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The record `type`.
+ *
+ * @returns {object|undefined} The record type or `undefined` if `type` is not
+ *   registered.
+ */
+api.get = ({type}) => RECORD_TYPES.get(type);
+
+/**
+ * Creates the checks, see `helpers.runChecks`, that validate a record of a
+ * registered type. The schema check is a prerequisite of the hooks.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.recordType - The registered record type.
+ * @param {string} options.pointer - The JSON pointer to the record.
+ * @param {object} options.context - The validation context that is given to
+ *   the hooks, with the `record` and `operationType`.
+ *
+ * @returns {Array} The checks.
+ */
+api.createChecks = ({recordType, pointer, context}) => {
+  const {network, record, operationType, trace} = context;
+  const schema = typeof recordType.schema === 'function' ?
+    recordType.schema({network}) : recordType.schema;
+  const hook = operationType === 'CreateWebLedgerRecord' ?
+    recordType.validateCreate : recordType.validateUpdate;
+  const checks = [{
+    stage: 'recordTypeSchema',
+    pointer,
+    prerequisite: true,
+    check: async () => helpers.validateSchema(
+      {schema, document: record, trace})
+  }];
+  if(recordType.authorize) {
+    checks.push({
+      stage: 'recordTypeAuthorization',
+      pointer,
+      prerequisite: true,
+      check: () => recordType.authorize(context)
+    });
+  }
+  if(hook) {
+    checks.push({
+      stage: 'recordType',
+      pointer,
+      check: () => hook(context)
+    });
+  }
+  return checks;
+};
+
+api.register({
+  type: 'ElectorPool',
+  schema: schemas.electorPoolDocument,
+  validateCreate: _validateElectorPool,
+  validateUpdate: _validateElectorPool,
+});
+api.register({
+  type: 'ValidatorParameterSet',
+  schema: schemas.validatorParameterSet,
+  // only the ValidatorParameterSet in the validator config may be created
+  async authorize({operationType, record, validatorParameterSet}) {
+    if(operationType !== 'CreateWebLedgerRecord' ||
+      validatorParameterSet === record.id) {
+      return {valid: true};
+    }
+    return {
+      error: new BedrockError(
+        'Invalid ValidatorParameterSet document ID.', 'ValidationError', {
+          actualValue: record.id,
+          expectedValue: validatorParameterSet,
+          httpStatusCode: 400,
+          pointer: '/record/id',
+          public: true,
+        }),
+      valid: false
+    };
+  },
+  validateCreate: _validateValidatorParameterSet,
+  validateUpdate: _validateValidatorParameterSet,
+});
+
+function _isUpdateRule(updateRule) {
+  if(!(updateRule && typeof updateRule === 'object')) {
+    return false;
+  }
+  const {path, rule} = updateRule;
+  // rule paths are JSON pointers to top-level properties
+  return typeof path === 'string' && /^\/[^/]+$/.test(path) &&
+    UPDATE_RULES.includes(rule);
+}
+
+async function _validateValidatorParameterSet({record}) {
+  return helpers.validateValidatorParameterSet({record});
+}
+
+// the electors in the elector pool of the ledger are validated
+async function _validateElectorPool({electorPool, ledgerNode, record}) {
+  if(!(electorPool && electorPool === record.id)) {
+    return {valid: true};
+  }
+  const {electorPool: electors, maximumElectorCount} = record;
+  return helpers.validateElectorPoolElectors(
+    {electorPool: electors, ledgerNode, maximumElectorCount});
+}
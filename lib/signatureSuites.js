@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {config} = require('bedrock');
+const {Ed25519Signature2018} =
+  require('@digitalbazaar/ed25519-signature-2018');
+const {Ed25519Signature2020} =
+  require('@digitalbazaar/ed25519-signature-2020');
+const {Ed25519VerificationKey2018} =
+  require('@digitalbazaar/ed25519-verification-key-2018');
+const {Ed25519VerificationKey2020} =
+  require('@digitalbazaar/ed25519-verification-key-2020');
+const {RsaSignature2018, RsaVerificationKey2018} =
+  require('./RsaSignature2018');
+
+const api = {};
+module.exports = api;
+
+// registered signature suites by proof `type`
+const SIGNATURE_SUITES = new Map();
+
+/**
+ * Registers a signature suite for a proof `type`. A registered suite is only
+ * used when its `type` is listed in the `updateSignatureType` config.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The proof type.
+ * @param {string} options.keyType - The type of key the suite verifies.
+ * @param {Function} options.KeyClass - The class for keys of `keyType`.
+ * @param {Function} options.createSuite - A factory that is given the
+ *   suite constructor options (e.g. `{key}`) and returns a suite instance.
+ */
+api.register = ({type, keyType, KeyClass, createSuite}) => {
+  if(typeof type !== 'string') {
+    throw new TypeError('"type" must be a string.');
+  }
+  if(typeof createSuite !== 'function') {
+    throw new TypeError('"createSuite" must be a function.');
+  }
+  SIGNATURE_SUITES.set(type, {type, keyType, KeyClass, createSuite});
+};
+
+/**
+ * Gets the signature suite to use for a proof `type`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The proof type.
+ *
+ * @returns {object|undefined} The registered suite or `undefined` if the
+ *   proof type is unknown or not enabled by the `updateSignatureType` config.
+ */
+api.get = ({type}) => {
+  const {updateSignatureType} = config['veres-one-validator'];
+  if(!updateSignatureType.includes(type)) {
+    return;
+  }
+  return SIGNATURE_SUITES.get(type);
+};
+
+/**
+ * Creates a signature suite instance for each proof type in `proof`. Proofs
+ * without an enabled suite fail verification.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|Array} options.proof - The proof or proofs on a document.
+ *
+ * @returns {Array} The signature suites.
+ */
+api.createSuites = ({proof}) => {
+  const types = new Set([].concat(proof).map(({type}) => type));
+  const suite = [];
+  for(const type of types) {
+    const signatureSuite = api.get({type});
+    if(signatureSuite) {
+      suite.push(signatureSuite.createSuite());
+    }
+  }
+  return suite;
+};
+
+api.register({
+  type: 'Ed25519Signature2018',
+  keyType: 'Ed25519VerificationKey2018',
+  KeyClass: Ed25519VerificationKey2018,
+  createSuite: options => new Ed25519Signature2018(options),
+});
+api.register({
+  type: 'Ed25519Signature2020',
+  keyType: 'Ed25519VerificationKey2020',
+  KeyClass: Ed25519VerificationKey2020,
+  createSuite: options => new Ed25519Signature2020(options),
+});
+api.register({
+  type: 'RsaSignature2018',
+  keyType: 'RsaVerificationKey2018',
+  KeyClass: RsaVerificationKey2018,
+  createSuite: options => new RsaSignature2018(options),
+});
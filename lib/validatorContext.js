@@ -0,0 +1,33 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// the terms of ValidatorParameterSet properties that are not defined by the
+// Veres One context, the context follows it in a ValidatorParameterSet
+module.exports = {
+  '@context': {
+    '@version': 1.1,
+    allowedServiceType: {
+      '@id': 'https://w3id.org/veres-one#allowedServiceType',
+      '@container': '@set'
+    },
+    maximumOperationSize: {
+      '@id': 'https://w3id.org/veres-one#maximumOperationSize',
+      '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+    },
+    maximumPatchOperationCount: {
+      '@id': 'https://w3id.org/veres-one#maximumPatchOperationCount',
+      '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+    },
+    maximumServiceCount: {
+      '@id': 'https://w3id.org/veres-one#maximumServiceCount',
+      '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+    },
+    maximumVerificationMethodCount: {
+      '@id': 'https://w3id.org/veres-one#maximumVerificationMethodCount',
+      '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+    },
+    serviceType: 'https://w3id.org/veres-one#serviceType'
+  }
+};
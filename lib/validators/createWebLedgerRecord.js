@@ -1,128 +1,208 @@
 /*!
- * Copyright (c) 2017-2019 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
  */
 'use strict';
 
 const bedrock = require('bedrock');
 const {util: {BedrockError}} = bedrock;
+const didParser = require('../didParser');
 const helpers = require('./helpers');
-const {VeresOneDidDoc} = require('did-veres-one');
-const cfg = bedrock.config['veres-one-validator'];
+const recordTypes = require('../recordTypes');
 
 module.exports = async ({
-  basisBlockHeight, electorPool, ledgerNode, validatorInput,
-  validatorParameterSet
+  allErrors, basisBlockHeight, electorPool, ledgerNode, network, trace,
+  validatorInput, validatorParameterSet
 }) => {
-  const {record: {id: recordId}} = validatorInput;
-  // NOTE: did:v1:uuid: exception is for electorPool documents
-  if(!recordId.startsWith('did:v1:uuid:')) {
-    const result = await _validateDid({
-      basisBlockHeight, ledgerNode, validatorInput, validatorParameterSet
-    });
-    if(!result.valid) {
-      return result;
-    }
+  const {record} = validatorInput;
+  const {id: recordId, type} = record;
+  let parsedId;
+  try {
+    parsedId = didParser.parse({url: recordId, network});
+  } catch(e) {
+    const error = new BedrockError(
+      'Error validating DID.', 'ValidationError', {
+        httpStatusCode: 400,
+        pointer: '/record/id',
+        public: true,
+      }, e);
+    return {error, valid: false};
   }
-
-  // optimize for general case - no operations with the given `recordId` exists
-  // at time of creation
-  const exists = await ledgerNode.operations.exists({recordId});
-  if(exists) {
-    let err;
-    try {
-      await ledgerNode.records.get({recordId});
-    } catch(e) {
-      err = e;
-    }
-
-    if(!err) {
+  // NOTE: did:v1:uuid: records are registered record types, such as
+  // electorPool documents
+  const uuidRecord = parsedId.kind === 'uuid';
+  let recordType;
+  if(uuidRecord) {
+    recordType = recordTypes.get({type});
+    if(!recordType) {
       const error = new BedrockError(
-        'Duplicate DID Document.', 'DuplicateError', {
+        'Unknown record type.', 'ValidationError', {
           httpStatusCode: 400,
+          pointer: '/record/type',
           public: true,
-          operation: validatorInput,
-          recordId,
+          type,
         });
       return {error, valid: false};
     }
-    // if state machine does not have DID and it is to be created (i.e.
-    // the record matches the DID), use it as the DID Document
-    if(err.name !== 'NotFoundError') {
-      return {
-        error: new BedrockError(
-          'An error occurred in the `records` API.', 'OperationError', {
-            httpStatusCode: 400,
-            public: true,
-            operation: validatorInput,
-            recordId,
-          }, err),
-        valid: false
-      };
-    }
   }
+  const checks = [];
+  if(!uuidRecord) {
+    checks.push({
+      stage: 'did',
+      pointer: '/record',
+      check: () => _validateDid({
+        allErrors, basisBlockHeight, ledgerNode, parsedId, trace,
+        validatorInput, validatorParameterSet
+      })
+    });
+  }
+  checks.push({
+    stage: 'newRecord',
+    pointer: '/record/id',
+    check: () => _validateNewRecord({ledgerNode, recordId, validatorInput})
+  });
+  if(recordType) {
+    checks.push(...recordTypes.createChecks({
+      recordType,
+      pointer: '/record',
+      context: {
+        basisBlockHeight, electorPool, ledgerNode, network,
+        operationType: validatorInput.type, record, trace, validatorInput,
+        validatorParameterSet
+      }
+    }));
+  }
+  return helpers.runChecks({allErrors, checks, trace});
+};
 
-  if(validatorInput.record.type === 'ValidatorParameterSet') {
-    if(validatorParameterSet !== recordId) {
-      return {
-        error: new BedrockError(
-          'Invalid ValidatorParameterSet document ID.', 'ValidationError', {
-            actualValue: recordId,
-            expectedValue: validatorParameterSet,
-            httpStatusCode: 400,
-            public: true,
-          }),
-        valid: false
-      };
-    }
-    return helpers.validateValidatorParameterSet({validatorInput});
+async function _validateNewRecord({ledgerNode, recordId, validatorInput}) {
+  // optimize for general case - no operations with the given `recordId` exists
+  // at time of creation
+  const exists = await ledgerNode.operations.exists({recordId});
+  if(!exists) {
+    return {valid: true};
+  }
+  let err;
+  let record;
+  try {
+    ({record} = await ledgerNode.records.get({recordId}));
+  } catch(e) {
+    err = e;
   }
 
-  // validate a new electorPool document
-  if(electorPool && electorPool === recordId) {
-    const {record: {electorPool, maximumElectorCount}} = validatorInput;
-    return helpers.validateElectorPoolElectors(
-      {electorPool, ledgerNode, maximumElectorCount});
+  // a deactivated DID may not be created again
+  if(!err && record.deactivated) {
+    return helpers.deactivatedError({recordId});
+  }
+  if(!err) {
+    const error = new BedrockError(
+      'Duplicate DID Document.', 'DuplicateError', {
+        httpStatusCode: 400,
+        public: true,
+        operation: validatorInput,
+        recordId,
+      });
+    return {error, valid: false};
+  }
+  // if state machine does not have DID and it is to be created (i.e.
+  // the record matches the DID), use it as the DID Document
+  if(err.name !== 'NotFoundError') {
+    return {
+      error: new BedrockError(
+        'An error occurred in the `records` API.', 'OperationError', {
+          httpStatusCode: 400,
+          public: true,
+          operation: validatorInput,
+          recordId,
+        }, err),
+      valid: false
+    };
   }
-  // success
   return {valid: true};
-};
+}
 
 async function _validateDid({
-  basisBlockHeight, ledgerNode, validatorInput, validatorParameterSet
+  allErrors, basisBlockHeight, ledgerNode, parsedId, trace, validatorInput,
+  validatorParameterSet
 }) {
-  const didDocument = new VeresOneDidDoc({doc: validatorInput.record});
-  let result = await didDocument.validateDid({mode: cfg.environment});
-  if(!result.valid) {
+  let didDocument;
+  try {
+    didDocument = helpers.createVeresOneDidDoc({doc: validatorInput.record});
+  } catch(e) {
     return {
       error: new BedrockError(
         'Error validating DID.', 'ValidationError', {
           httpStatusCode: 400,
           public: true,
-        }, result.error),
+        }, e),
       valid: false
     };
   }
-  result = await didDocument.validateMethodIds();
-  if(!result.valid) {
+  const {id: did, service} = didDocument.toJSON();
+  const checks = [{
+    stage: 'methodReferences',
+    pointer: '/record',
+    // the DID is validated with the methods the references resolve to
+    prerequisite: true,
+    check: async () => helpers.validateMethodReferences(
+      {document: validatorInput.record, pointer: '/record'})
+  }, {
+    stage: 'didIdentifier',
+    pointer: '/record/id',
+    check: () => _validateDidIdentifier({didDocument, parsedId})
+  }, {
+    stage: 'methodIds',
+    pointer: '/record',
+    check: () => _didValidationResult(didDocument.validateMethodIds())
+  }, {
+    stage: 'didContext',
+    pointer: '/record/@context',
+    check: async () => helpers.validateDidDocumentContext(
+      {document: validatorInput.record, pointer: '/record'})
+  }];
+  if(service) {
+    checks.push({
+      stage: 'service',
+      pointer: '/record/service',
+      check: () => helpers.validateService({
+        basisBlockHeight, did, ledgerNode, service, trace,
+        validatorParameterSet
+      })
+    });
+  }
+  return helpers.runChecks({allErrors, checks, trace});
+}
+
+// the structure and network of the DID were validated by the DID parser, the
+// cryptonym DID must also be the fingerprint of its capabilityInvocation key
+async function _validateDidIdentifier({didDocument, parsedId}) {
+  const {did, fragment, params, path, query} = parsedId;
+  if(fragment !== null || path !== null || query !== null ||
+    Object.keys(params).length > 0) {
     return {
       error: new BedrockError(
         'Error validating DID.', 'ValidationError', {
+          did,
           httpStatusCode: 400,
           public: true,
-        }, result.error),
+        }, new Error(`A DID URL is not a DID: "${didDocument.id}".`)),
       valid: false
     };
   }
+  return _didValidationResult(didDocument.validateCryptonymDid());
+}
 
-  const {id: did, service} = didDocument.toJSON();
-  if(service) {
-    const result = await helpers.validateService({
-      basisBlockHeight, did, ledgerNode, service, validatorParameterSet
-    });
-    if(!result.valid) {
-      return result;
-    }
+// wraps a did-veres-one validation report in a validation result
+async function _didValidationResult(report) {
+  const result = await report;
+  if(result.valid) {
+    return result;
   }
-  // success
-  return {valid: true};
+  return {
+    error: new BedrockError(
+      'Error validating DID.', 'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+      }, result.error),
+    valid: false
+  };
 }
@@ -6,26 +6,68 @@
 const _ = require('lodash');
 const bedrock = require('bedrock');
 const brLedgerUtils = require('bedrock-ledger-utils');
+const bs58 = require('bs58');
 const {VeresOneDidDoc} = require('did-veres-one');
+const didDocumentCache = require('../didDocumentCache');
+const didParser = require('../didParser');
 const {util: {BedrockError}} = bedrock;
 const {documentLoader} = require('bedrock-jsonld-document-loader');
+const multibase = require('multibase');
+const multicodec = require('multicodec');
+const schemas = require('../../schemas/veres-one-validator');
+const {validate, validateInstance} = require('bedrock-validation');
+const {Ed25519VerificationKey2018} =
+  require('@digitalbazaar/ed25519-verification-key-2018');
+const {constants: {DID_CONTEXT_URL: DID_CONTEXT_V1_URL}} =
+  require('did-context');
+const {constants: {CONTEXT_URL: ED25519_2018_CONTEXT_V1_URL}} =
+  require('ed25519-signature-2018-context');
+const {constants: {CONTEXT_URL: ED25519_2020_CONTEXT_V1_URL}} =
+  require('ed25519-signature-2020-context');
+
+const cfg = bedrock.config['veres-one-validator'];
+
+// the prefix of the names of the schemas in `schemas/veres-one-validator.js`
+const SCHEMA_PREFIX = 'veres-one-validator.';
+// the networks of Veres One DIDs
+const NETWORKS = ['live', 'test'];
 
 const api = {};
 module.exports = api;
 
-// delimiters for a DID URL
-const splitRegex = /[;|\/|\?|#]/;
+// matches a `.` or `..` path segment, including percent-encoded dots
+const DOT_SEGMENT_REGEX = /\/(\.|%2e){1,2}(\/|$)/i;
+
+// the verification relationships of a DID document, each contains embedded
+// verification methods or references to methods in `verificationMethod`
+const PROOF_PURPOSES = [
+  'assertionMethod',
+  'authentication',
+  'capabilityDelegation',
+  'capabilityInvocation',
+];
+// the properties of a DID document that contain verification methods
+const METHOD_PROPERTIES = ['verificationMethod', ...PROOF_PURPOSES];
+
+// the context that defines each verification method type in a DID Core 1.0
+// document, the DID v1 context does not define any
+const METHOD_TYPE_CONTEXTS = new Map([
+  ['Ed25519VerificationKey2018', ED25519_2018_CONTEXT_V1_URL],
+  ['Ed25519VerificationKey2020', ED25519_2020_CONTEXT_V1_URL],
+]);
+
 // all the keys extracted using the document loader are restricted by the
 // `basisBlockHeight` of the operation being validated. This ensures that
 // the signatures were valid at the time of signing.
 api.createDidDocumentLoader = ({
-  basisBlockHeight, ledgerNode, record, recordPatch, operationType
+  basisBlockHeight, ledgerNode, record, recordPatch, operationType, trace
 }) => {
   return async function(url) {
     if(!url.startsWith('did:')) {
       return documentLoader(url);
     }
-    const [did] = url.split(splitRegex);
+    const {did, fragment, kind} = didParser.parse({url});
+    const nym = kind === 'nym';
 
     // if operation type is `CreateWebLedgerRecord`, do not hit records API, we
     // have already validated elsewhere that it is a new record and not a
@@ -33,35 +75,41 @@ api.createDidDocumentLoader = ({
     let didDocument;
     if(operationType === 'CreateWebLedgerRecord' &&
       record && record.id === did) {
-      // FIXME: do a better check than searching for `:nym:`
-      if(did.includes(':nym:')) {
-        // generate nym DIDs, do not use record
-        didDocument = (await VeresOneDidDoc.fromNym({did})).doc;
+      if(nym) {
+        // generate nym DIDs, do not use record, but express the key the same
+        // way the record does
+        const node = _findDidNode({didDocument: record, id: url});
+        didDocument = await _fromNym({did, keyType: node && node.type});
+        _traceResolution({trace, url, source: 'nym'});
       } else {
         // FIXME: cloning is required due to jsonld mutating the document
         // FIXME: is this still an issue or can we remove the clone?
         didDocument = bedrock.util.clone(record);
+        _traceResolution({trace, url, source: 'operation'});
       }
     } else {
       // try to get DID from records API
       try {
-        const result = await ledgerNode.records.get(
-          {maxBlockHeight: basisBlockHeight, recordId: did});
+        const result = await didDocumentCache.get(
+          {ledgerNode, maxBlockHeight: basisBlockHeight, recordId: did});
         didDocument = result.record;
+        _traceResolution(
+          {trace, url, source: 'ledger', maxBlockHeight: basisBlockHeight});
       } catch(e) {
         // throw if DID Doc not found and the DID is not a nym or this is an
         // update operation and we are trying to resolve the DID in the record
-        // FIXME: do a better check than searching for `:nym:`
-        if(e.name !== 'NotFoundError' || !did.includes(':nym:') ||
+        if(e.name !== 'NotFoundError' || !nym ||
           (operationType === 'UpdateWebLedgerRecord' && recordPatch &&
           recordPatch.target === did)) {
           throw e;
         }
         // generate did document from `nym` DID
-        didDocument = (await VeresOneDidDoc.fromNym({did})).doc;
+        didDocument = await _fromNym({did});
+        _traceResolution(
+          {trace, url, source: 'nym', maxBlockHeight: basisBlockHeight});
       }
     }
-    if(!url.includes('#')) {
+    if(fragment === null) {
       return {
         contextUrl: null,
         document: didDocument,
@@ -78,88 +126,688 @@ api.createDidDocumentLoader = ({
   };
 };
 
+/**
+ * Decodes a multibase, multicodec encoded ed25519 public key (e.g. the
+ * fingerprint of an ed25519 key or its `publicKeyMultibase`).
+ *
+ * @param {string} fingerprint - The encoded public key.
+ *
+ * @returns {string} The base58 encoded public key.
+ */
+api.getEd25519PublicKeyBase58 = ({fingerprint}) => {
+  const mcPubkeyBytes = multibase.decode(fingerprint);
+  const mcType = multicodec.getCodec(mcPubkeyBytes);
+  if(mcType !== 'ed25519-pub') {
+    throw new BedrockError(
+      'Key ID is not a multiformats encoded ed25519 public key.',
+      'EncodingError', {fingerprint});
+  }
+  const pubkeyBytes = multicodec.rmPrefix(mcPubkeyBytes);
+  // now that prefix is removed, re-encode to base58
+  return bs58.encode(pubkeyBytes);
+};
+
+// did-veres-one only understands embedded `Ed25519VerificationKey2018` keys;
+// references are replaced with the methods they reference, a reference that
+// does not match a method is dropped and reported by
+// `validateMethodReferences`; the fingerprint of an
+// `Ed25519VerificationKey2020` key is its `publicKeyMultibase`, so its 2018
+// form validates the same way. Throws if a `publicKeyMultibase` is not an
+// ed25519 public key.
+api.createVeresOneDidDoc = ({doc}) => {
+  doc = _dereferenceMethods({document: bedrock.util.clone(doc)});
+  for(const proofPurpose of PROOF_PURPOSES) {
+    if(!Array.isArray(doc[proofPurpose])) {
+      continue;
+    }
+    doc[proofPurpose] = doc[proofPurpose].map(method => {
+      if(method.type !== 'Ed25519VerificationKey2020') {
+        return method;
+      }
+      const {publicKeyMultibase: fingerprint, ...rest} = method;
+      return {
+        ...rest,
+        type: 'Ed25519VerificationKey2018',
+        publicKeyBase58: api.getEd25519PublicKeyBase58({fingerprint})
+      };
+    });
+  }
+  return new VeresOneDidDoc({doc});
+};
+
+/**
+ * Runs validation checks in order and stops at the first failure. When
+ * `allErrors` is set, the checks continue after a failure, unless the failed
+ * check is a `prerequisite` of the checks that follow it, and every error is
+ * returned in `errors`.
+ *
+ * @param {object} options - The options to use.
+ * @param {boolean} [options.allErrors=false] - Collect all errors.
+ * @param {Array} options.checks - The checks, each with an async `check`
+ *   function that returns a validation result, the JSON `pointer` into the
+ *   operation that is added to the details of errors that do not have one,
+ *   an optional `prerequisite` flag and an optional `stage` name.
+ * @param {object} [options.trace] - A validation trace, see `createTrace`,
+ *   the checks with a `stage` name are recorded in it.
+ *
+ * @returns {Promise<object>} The validation result.
+ */
+api.runChecks = async ({allErrors = false, checks, trace}) => {
+  const errors = [];
+  for(const {check, pointer, prerequisite = false, stage} of checks) {
+    const result = await api.traceStage({trace, stage, pointer, fn: check});
+    if(result.valid) {
+      continue;
+    }
+    const resultErrors = result.errors || [result.error];
+    for(const {details} of resultErrors) {
+      if(details && details.pointer === undefined) {
+        details.pointer = pointer;
+      }
+    }
+    if(!allErrors) {
+      return result;
+    }
+    errors.push(...resultErrors);
+    if(prerequisite) {
+      break;
+    }
+  }
+  if(errors.length === 0) {
+    return {valid: true};
+  }
+  return {valid: false, error: errors[0], errors};
+};
+
+/**
+ * Wraps a ledger node so that record lookups are shared by the validation of
+ * a batch of operations. The wrapped node resolves each record (at each
+ * `maxBlockHeight`) from the ledger once, and otherwise behaves like
+ * `ledgerNode`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.ledgerNode - The ledger node.
+ *
+ * @returns {object} The wrapped ledger node.
+ */
+api.createBatchLedgerNode = ({ledgerNode}) => {
+  const records = new Map();
+  const batchLedgerNode = Object.create(ledgerNode);
+  batchLedgerNode.records = Object.create(ledgerNode.records);
+  batchLedgerNode.records.get = async options => {
+    const {maxBlockHeight = null, recordId} = options;
+    const key = JSON.stringify([recordId, maxBlockHeight]);
+    let promise = records.get(key);
+    if(!promise) {
+      promise = ledgerNode.records.get(options);
+      records.set(key, promise);
+    }
+    // the validators may mutate the record
+    return bedrock.util.clone(await promise);
+  };
+  return batchLedgerNode;
+};
+
+/**
+ * Creates an empty validation trace. A trace is passed to the validators to
+ * record how an input was validated.
+ *
+ * @returns {object} The trace.
+ */
+api.createTrace = () => ({
+  // the schemas the input was validated against
+  schemas: [],
+  // the DID URLs resolved by DID document loaders and their source
+  didResolutions: [],
+  // the results of proof verification
+  proofs: [],
+  // the ValidatorParameterSet records that were used
+  validatorParameterSets: [],
+  // the time taken, in milliseconds, by each validation stage
+  stages: []
+});
+
+/**
+ * Runs a validation stage and records its result and elapsed time in
+ * `trace`. Without a `trace` or `stage` name the stage is just run.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.trace] - The validation trace.
+ * @param {string} [options.stage] - The stage name.
+ * @param {string} [options.pointer] - The JSON pointer for the stage.
+ * @param {Function} options.fn - An async function that runs the stage and
+ *   returns a validation result.
+ *
+ * @returns {Promise<object>} The validation result.
+ */
+api.traceStage = async ({trace, stage, pointer, fn}) => {
+  if(!(trace && stage)) {
+    return fn();
+  }
+  // record the stage before it is run so stages are in the order they start
+  const entry = {stage, pointer};
+  trace.stages.push(entry);
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  entry.elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  entry.valid = result.valid;
+  return result;
+};
+
+/**
+ * Validates a document against a schema and records the schema in `trace`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string|object} options.schema - The name of a registered schema or
+ *   a JSON schema.
+ * @param {object} options.document - The document to validate.
+ * @param {string} [options.network] - The network of the DIDs in a
+ *   `veres-one-validator.*` schema, see `getNetwork`.
+ * @param {object} [options.trace] - The validation trace.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateSchema = ({schema, document, network, trace}) => {
+  let result;
+  if(typeof schema === 'string' && schema.startsWith(SCHEMA_PREFIX)) {
+    const name = schema.substr(SCHEMA_PREFIX.length);
+    result = validateInstance(document, schemas[name]({network}));
+  } else if(typeof schema === 'string') {
+    result = validate(schema, document);
+  } else {
+    result = validateInstance(document, schema);
+  }
+  if(trace) {
+    trace.schemas.push({
+      schema: typeof schema === 'string' ? schema : schema.title,
+      valid: result.valid
+    });
+  }
+  return result;
+};
+
+/**
+ * Gets the network of the DIDs on a ledger from its Veres One validator
+ * config. The network defaults to the network of the configured environment
+ * and a network that is not known is left to schema validation to reject.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.validatorConfig] - The validator config.
+ *
+ * @returns {string} The network, `live` or `test`.
+ */
+api.getNetwork = ({validatorConfig = {}} = {}) => {
+  const {network} = validatorConfig;
+  return NETWORKS.includes(network) ? network : didParser.getNetwork(cfg);
+};
+
+/**
+ * Converts an ajv `dataPath` (e.g. `.record.service[0]['@context']`) into a
+ * JSON pointer (e.g. `/record/service/0/@context`).
+ *
+ * @param {string} dataPath - The ajv data path.
+ *
+ * @returns {string} The JSON pointer.
+ */
+api.toJsonPointer = dataPath => {
+  const tokens = [];
+  const regex = /\.([^.[]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+  let match;
+  while((match = regex.exec(dataPath)) !== null) {
+    const [, property, index, quoted] = match;
+    let token = index;
+    if(property !== undefined) {
+      token = property;
+    } else if(quoted !== undefined) {
+      token = quoted.replace(/\\(.)/g, '$1');
+    }
+    tokens.push(token.replace(/~/g, '~0').replace(/\//g, '~1'));
+  }
+  return tokens.map(token => `/${token}`).join('');
+};
+
+api.deactivatedError = ({recordId}) => {
+  return {
+    error: new BedrockError(
+      'The DID Document has been deactivated.', 'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        recordId,
+      }),
+    valid: false
+  };
+};
+
+/**
+ * Loads the ValidatorParameterSet record at `basisBlockHeight`. A missing
+ * record is not an error, the ValidatorParameterSet is `null` then.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.basisBlockHeight - The block height.
+ * @param {object} options.ledgerNode - The ledger node.
+ * @param {object} [options.trace] - The validation trace.
+ * @param {string} [options.validatorParameterSet] - The ValidatorParameterSet
+ *   ID from the validator config.
+ *
+ * @returns {Promise<object>} A validation result with the
+ *   `validatorParameterSet` record.
+ */
+api.loadValidatorParameterSet = async ({
+  basisBlockHeight, ledgerNode, trace, validatorParameterSet
+}) => {
+  if(!validatorParameterSet) {
+    return {valid: true, validatorParameterSet: null};
+  }
+  try {
+    return {
+      valid: true,
+      validatorParameterSet: await api.getValidatorParameterSet({
+        basisBlockHeight, ledgerNode, trace, validatorParameterSet
+      })
+    };
+  } catch(error) {
+    // let NotFoundError pass
+    if(error.name === 'NotFoundError') {
+      return {valid: true, validatorParameterSet: null};
+    }
+    return {
+      error: new BedrockError(
+        'Unable to retrieve ValidatorParameterSet.', 'UnknownError', {
+          basisBlockHeight,
+          // do not expose unknown error details to the user
+          public: false,
+          httpStatusCode: 400,
+          validatorParameterSet,
+        }, error),
+      valid: false
+    };
+  }
+};
+
+/**
+ * Validates an operation against the size limits declared in the
+ * ValidatorParameterSet. The size of the operation and the number of patch
+ * operations in an update are checked before any proof is verified, the
+ * limits for a created record are checked here as well.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.limits - The ValidatorParameterSet.
+ * @param {object} options.validatorInput - The operation.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateOperationLimits = ({limits, validatorInput}) => {
+  const {maximumOperationSize, maximumPatchOperationCount} = limits;
+  if(maximumOperationSize !== undefined) {
+    const size = Buffer.byteLength(JSON.stringify(validatorInput));
+    if(size > maximumOperationSize) {
+      return _limitError({
+        message: 'The operation exceeds the maximum size.',
+        pointer: '', maximum: maximumOperationSize, actual: size
+      });
+    }
+  }
+  const {record, recordPatch} = validatorInput;
+  if(record) {
+    return api.validateDocumentLimits(
+      {document: record, limits, pointer: '/record'});
+  }
+  const {patch} = recordPatch;
+  if(maximumPatchOperationCount !== undefined &&
+    patch.length > maximumPatchOperationCount) {
+    return _limitError({
+      message: 'The patch exceeds the maximum number of operations.',
+      pointer: '/recordPatch/patch', maximum: maximumPatchOperationCount,
+      actual: patch.length
+    });
+  }
+  return {valid: true};
+};
+
+/**
+ * Validates a DID document against the verification method and service
+ * limits declared in the ValidatorParameterSet.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The DID document.
+ * @param {object} options.limits - The ValidatorParameterSet.
+ * @param {string} [options.pointer] - The JSON pointer to the document in the
+ *   operation, if it is in the operation.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateDocumentLimits = ({document, limits, pointer}) => {
+  const {maximumServiceCount, maximumVerificationMethodCount} = limits;
+  if(maximumVerificationMethodCount !== undefined) {
+    for(const property of METHOD_PROPERTIES) {
+      const methods = document[property];
+      if(Array.isArray(methods) &&
+        methods.length > maximumVerificationMethodCount) {
+        return _limitError({
+          message: `"${property}" exceeds the maximum number of ` +
+            'verification methods.',
+          pointer: _childPointer({pointer, property}),
+          maximum: maximumVerificationMethodCount, actual: methods.length
+        });
+      }
+    }
+  }
+  const {service} = document;
+  if(maximumServiceCount !== undefined && Array.isArray(service) &&
+    service.length > maximumServiceCount) {
+    return _limitError({
+      message: 'The DID document exceeds the maximum number of services.',
+      pointer: _childPointer({pointer, property: 'service'}),
+      maximum: maximumServiceCount,
+      actual: service.length
+    });
+  }
+  return {valid: true};
+};
+
+/**
+ * Validates that the `@context` of a DID Core 1.0 DID document defines the
+ * type of each of its verification methods. The DID v0.11 context defines
+ * the method types itself.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The DID document.
+ * @param {string} [options.pointer] - The JSON pointer to the document in the
+ *   operation, if it is in the operation.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateDidDocumentContext = ({document, pointer}) => {
+  const context = [].concat(document['@context']);
+  if(context[0] !== DID_CONTEXT_V1_URL) {
+    return {valid: true};
+  }
+  for(const property of METHOD_PROPERTIES) {
+    for(const method of [].concat(document[property] || [])) {
+      if(!(method && typeof method === 'object')) {
+        continue;
+      }
+      const methodContext = METHOD_TYPE_CONTEXTS.get(method.type);
+      if(!context.includes(methodContext)) {
+        const error = new BedrockError(
+          'The DID document "@context" does not define the verification ' +
+          'method type.', 'ValidationError', {
+            httpStatusCode: 400,
+            methodId: method.id,
+            pointer: _childPointer({pointer, property}),
+            public: true,
+            requiredContext: methodContext || null,
+            type: method.type,
+          });
+        return {error, valid: false};
+      }
+    }
+  }
+  return {valid: true};
+};
+
+/**
+ * Validates the verification method references in the verification
+ * relationships of a DID document. A reference must be the `id` of a method
+ * in the document's `verificationMethod`. A referenced method is validated
+ * like an embedded one, a method that is not referenced must have an `id`
+ * that is a DID URL for the document and a `controller` that is a DID.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The DID document.
+ * @param {string} [options.pointer] - The JSON pointer to the document in the
+ *   operation, if it is in the operation.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateMethodReferences = ({document, pointer}) => {
+  const methods = _getReferenceableMethods({document});
+  const referenced = new Set();
+  for(const proofPurpose of PROOF_PURPOSES) {
+    const relationship = [].concat(document[proofPurpose] || []);
+    for(const [index, methodId] of relationship.entries()) {
+      if(typeof methodId !== 'string') {
+        continue;
+      }
+      if(!methods.has(methodId)) {
+        const error = new BedrockError(
+          'The verification method reference does not match a verification ' +
+          'method in the DID document.', 'ValidationError', {
+            httpStatusCode: 400,
+            methodId,
+            pointer: _childPointer(
+              {pointer, property: `${proofPurpose}/${index}`}),
+            public: true,
+          });
+        return {error, valid: false};
+      }
+      referenced.add(methodId);
+    }
+  }
+  for(const [index, {id: methodId, controller}] of
+    [].concat(document.verificationMethod || []).entries()) {
+    if(referenced.has(methodId)) {
+      continue;
+    }
+    if(!_isMethodId({did: document.id, methodId})) {
+      const error = new BedrockError(
+        'A verification method ID must be a DID URL for the DID document.',
+        'ValidationError', {
+          did: document.id,
+          httpStatusCode: 400,
+          methodId,
+          pointer: _childPointer(
+            {pointer, property: `verificationMethod/${index}/id`}),
+          public: true,
+        });
+      return {error, valid: false};
+    }
+    if(!_isDid({did: controller})) {
+      const error = new BedrockError(
+        'A verification method controller must be a DID.',
+        'ValidationError', {
+          controller,
+          httpStatusCode: 400,
+          methodId,
+          pointer: _childPointer(
+            {pointer, property: `verificationMethod/${index}/controller`}),
+          public: true,
+        });
+      return {error, valid: false};
+    }
+  }
+  return {valid: true};
+};
+
 api.getValidatorParameterSet = async ({
-  basisBlockHeight, ledgerNode, validatorParameterSet
+  basisBlockHeight, ledgerNode, trace, validatorParameterSet
 }) => {
   const {record} = await ledgerNode.records.get(
     {maxBlockHeight: basisBlockHeight, recordId: validatorParameterSet});
+  if(trace) {
+    trace.validatorParameterSets.push(
+      {id: validatorParameterSet, maxBlockHeight: basisBlockHeight, record});
+  }
   return record;
 };
 
 api.validateService = async ({
-  basisBlockHeight, did, ledgerNode, service, validatorParameterSet
+  basisBlockHeight, did, ledgerNode, service, trace, validatorParameterSet
 }) => {
-  let allowedServiceBaseUrl;
-  try {
-    ({allowedServiceBaseUrl} = await api.getValidatorParameterSet({
-      basisBlockHeight, ledgerNode, validatorParameterSet
-    }));
-  } catch(error) {
-    // let NotFoundError pass
-    if(error.name !== 'NotFoundError') {
+  const idsResult = api.validateServiceIds({did, service});
+  if(!idsResult.valid) {
+    return idsResult;
+  }
+  const result = await api.loadValidatorParameterSet({
+    basisBlockHeight, ledgerNode, trace, validatorParameterSet
+  });
+  if(!result.valid) {
+    return result;
+  }
+  const {allowedServiceBaseUrl, allowedServiceType} =
+    result.validatorParameterSet || {};
+  for(const [index, serviceDescriptor] of service.entries()) {
+    // the endpoint of a service is checked against the base URLs for its type
+    // if the type has any, otherwise against the top-level base URLs
+    let baseUrls = allowedServiceBaseUrl;
+    if(allowedServiceType) {
+      const {type: serviceType} = serviceDescriptor;
+      const allowed = allowedServiceType.find(
+        allowed => allowed.serviceType === serviceType);
+      if(!allowed) {
+        return {
+          error: new BedrockError(
+            'The service type is not allowed.', 'ValidationError', {
+              allowedServiceType: allowedServiceType.map(
+                ({serviceType}) => serviceType),
+              httpStatusCode: 400,
+              index,
+              public: true,
+              serviceType,
+            }),
+          valid: false
+        };
+      }
+      baseUrls = allowed.allowedServiceBaseUrl || allowedServiceBaseUrl;
+    }
+    if(!baseUrls) {
       return {
         error: new BedrockError(
-          'Unable to retrieve ValidatorParameterSet.', 'UnknownError', {
+          'Invalid ledger validator configuration. `allowedServiceBaseUrl` ' +
+          'is not defined.', 'InvalidStateError', {
             basisBlockHeight,
-            // do not expose unknown error details to the user
-            public: false,
             httpStatusCode: 400,
+            public: true,
+            serviceType: serviceDescriptor.type,
             validatorParameterSet,
-          }, error),
+          }),
         valid: false
       };
     }
+    const endpointsResult = api.validateServiceEndpoints(
+      {allowedServiceBaseUrl: baseUrls, did, service: [serviceDescriptor]});
+    if(!endpointsResult.valid) {
+      return endpointsResult;
+    }
   }
+  // success
+  return {valid: true};
+};
 
-  if(!allowedServiceBaseUrl) {
-    return {
-      error: new BedrockError(
-        'Invalid ledger validator configuration. `allowedServiceBaseUrl` ' +
-        'is not defined.', 'InvalidStateError', {
-          basisBlockHeight,
-          httpStatusCode: 400,
-          public: true,
-          validatorParameterSet,
-        }),
-      valid: false
-    };
+/**
+ * Validates the service IDs in a DID document. Each service ID must be a DID
+ * URL for the document's own DID, either `<did>#<fragment>` or
+ * `<did>;service=<name>`, and must be unique in the document.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.did - The DID of the document.
+ * @param {Array} options.service - The services in the document.
+ *
+ * @returns {object} The validation result.
+ */
+api.validateServiceIds = ({did, service}) => {
+  const serviceIds = new Set();
+  for(const [index, {id: serviceId}] of service.entries()) {
+    if(!_isServiceId({did, serviceId})) {
+      return {
+        error: new BedrockError(
+          'A service ID must be a DID URL for the DID document.',
+          'ValidationError', {
+            did,
+            httpStatusCode: 400,
+            index,
+            public: true,
+            serviceId,
+          }),
+        valid: false
+      };
+    }
+    if(serviceIds.has(serviceId)) {
+      return {
+        error: new BedrockError(
+          'Duplicate service ID.', 'ValidationError', {
+            did,
+            httpStatusCode: 400,
+            index,
+            public: true,
+            serviceId,
+          }),
+        valid: false
+      };
+    }
+    serviceIds.add(serviceId);
   }
+  return {valid: true};
+};
 
-  const result = api.validateServiceEndpoints(
-    {allowedServiceBaseUrl, did, service});
-  if(!result.valid) {
-    return result;
+api.validateServiceEndpoints = ({allowedServiceBaseUrl, did, service}) => {
+  // base URLs are validated when the ValidatorParameterSet is created or
+  // updated, any that do not parse are ignored
+  const baseUrls = allowedServiceBaseUrl.map(baseUrl => api.parseServiceUrl(
+    {url: baseUrl}).url).filter(url => url);
+  const expectedPath = `/${encodeURIComponent(did)}`;
+  for(const {serviceEndpoint} of service) {
+    const {url, reason} = api.parseServiceUrl({url: serviceEndpoint});
+    const valid = url && baseUrls.some(baseUrl => {
+      // NOTE: baseUrl does not end with a forward slash
+      const basePath = baseUrl.pathname === '/' ? '' : baseUrl.pathname;
+      return url.origin === baseUrl.origin &&
+        url.pathname === `${basePath}${expectedPath}`;
+    });
+    if(!valid) {
+      return {
+        valid: false,
+        error: new BedrockError(
+          'Invalid service endpoint.', 'ValidationError', {
+            allowedServiceBaseUrl,
+            httpStatusCode: 400,
+            public: true,
+            reason: reason ||
+              'The service endpoint is not the DID under an allowed base URL.',
+            service,
+            serviceEndpoint,
+          })
+      };
+    }
   }
-  // success
   return {valid: true};
 };
 
-api.validateServiceEndpoints = ({allowedServiceBaseUrl, did, service}) => {
-  const valid = service.every(({serviceEndpoint}) =>
-    // NOTE: baseUrl does not end with a forward slash
-    allowedServiceBaseUrl.some(baseUrl => {
-      if(serviceEndpoint.startsWith(baseUrl)) {
-        const path = serviceEndpoint.substr(baseUrl.length);
-        if(path === `/${encodeURIComponent(did)}`) {
-          return true;
-        }
-      }
-      return false;
-    })
-  );
-  if(!valid) {
-    return {
-      valid: false,
-      error: new BedrockError(
-        'Invalid service endpoint.', 'ValidationError', {
-          allowedServiceBaseUrl,
-          httpStatusCode: 400,
-          public: true,
-          service,
-        })
-    };
+/**
+ * Parses a service endpoint or allowed service base URL. The URL must be an
+ * `https:` URL, `http:` is also allowed in the "dev" environment, and must
+ * not have credentials, a query, a fragment or dot segments.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The URL.
+ *
+ * @returns {object} The parsed WHATWG `url` or the `reason` it is invalid.
+ */
+api.parseServiceUrl = ({url}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch(e) {
+    return {reason: 'The URL could not be parsed.'};
+  }
+  const protocols = cfg.environment === 'dev' ? ['https:', 'http:'] :
+    ['https:'];
+  if(!protocols.includes(parsed.protocol)) {
+    return {reason: `The URL protocol must be one of: ${protocols}.`};
+  }
+  if(parsed.username || parsed.password) {
+    return {reason: 'The URL must not have credentials.'};
   }
-  return {valid};
+  // the raw URL is checked since an empty query or fragment is dropped
+  if(url.includes('?') || url.includes('#')) {
+    return {reason: 'The URL must not have a query or fragment.'};
+  }
+  // dot segments, and backslashes that are parsed as `/`, are removed by the
+  // parser so they must be checked in the raw URL
+  if(url.includes('\\') || DOT_SEGMENT_REGEX.test(url)) {
+    return {reason: 'The URL must not have dot segments.'};
+  }
+  return {url: parsed};
 };
 
 api.validateElectorPoolElectors = async (
@@ -209,8 +857,33 @@ api.validateElectorPoolElectors = async (
   return {valid: true};
 };
 
-api.validateValidatorParameterSet = ({validatorInput}) => {
-  const {record: {allowedServiceBaseUrl}} = validatorInput;
+api.validateValidatorParameterSet = ({record}) => {
+  const {allowedServiceBaseUrl, allowedServiceType = []} = record;
+  const serviceTypes = new Set();
+  for(const {serviceType} of allowedServiceType) {
+    if(serviceTypes.has(serviceType)) {
+      const error = new BedrockError(
+        'Duplicate allowed service type.', 'SyntaxError', {serviceType});
+      return {error, valid: false};
+    }
+    serviceTypes.add(serviceType);
+  }
+  const baseUrlLists = [
+    allowedServiceBaseUrl,
+    ...allowedServiceType.map(
+      ({allowedServiceBaseUrl}) => allowedServiceBaseUrl)
+  ].filter(baseUrls => baseUrls);
+  for(const baseUrls of baseUrlLists) {
+    const result = _validateAllowedServiceBaseUrl(
+      {allowedServiceBaseUrl: baseUrls});
+    if(!result.valid) {
+      return result;
+    }
+  }
+  return {valid: true};
+};
+
+function _validateAllowedServiceBaseUrl({allowedServiceBaseUrl}) {
   for(const baseUrl of allowedServiceBaseUrl) {
     if(baseUrl.endsWith('/')) {
       const error = new BedrockError(
@@ -219,9 +892,17 @@ api.validateValidatorParameterSet = ({validatorInput}) => {
         });
       return {error, valid: false};
     }
+    const {reason} = api.parseServiceUrl({url: baseUrl});
+    if(reason) {
+      const error = new BedrockError(
+        'Invalid allowed service base URL.', 'SyntaxError', {
+          allowedServiceBaseUrl, baseUrl, reason
+        });
+      return {error, valid: false};
+    }
   }
   return {valid: true};
-};
+}
 
 function _computeTargetElectorCount({coefficient, originalCount}) {
   if(originalCount === 0) {
@@ -232,8 +913,70 @@ function _computeTargetElectorCount({coefficient, originalCount}) {
   return coefficient * (f - 1) + 1;
 }
 
-async function _pluckDidNode(did, target, didDocument) {
-  // find verification method in DID document
+function _isServiceId({did, serviceId}) {
+  let parsed;
+  try {
+    parsed = didParser.parse({url: serviceId});
+  } catch(e) {
+    return false;
+  }
+  const {fragment, params: {service}, path, query} = parsed;
+  return parsed.did === did && path === null && query === null &&
+    !!(fragment || service);
+}
+
+function _isMethodId({did, methodId}) {
+  let parsed;
+  try {
+    parsed = didParser.parse({url: methodId});
+  } catch(e) {
+    return false;
+  }
+  const {fragment, params, path, query} = parsed;
+  return parsed.did === did && path === null && query === null &&
+    Object.keys(params).length === 0 && !!fragment;
+}
+
+function _isDid({did}) {
+  try {
+    return didParser.parse({url: did}).did === did;
+  } catch(e) {
+    return false;
+  }
+}
+
+// the methods in `verificationMethod` by `id`, the methods that may be
+// referenced by a verification relationship
+function _getReferenceableMethods({document}) {
+  const methods = new Map();
+  for(const method of [].concat(document.verificationMethod || [])) {
+    if(method && typeof method === 'object') {
+      methods.set(method.id, method);
+    }
+  }
+  return methods;
+}
+
+// replaces each reference in the verification relationships of a DID
+// document with a copy of the method it references
+function _dereferenceMethods({document}) {
+  const methods = _getReferenceableMethods({document});
+  for(const proofPurpose of PROOF_PURPOSES) {
+    if(!Array.isArray(document[proofPurpose])) {
+      continue;
+    }
+    document[proofPurpose] = document[proofPurpose]
+      .map(method => typeof method === 'string' ?
+        bedrock.util.clone(methods.get(method)) : method)
+      .filter(method => !!method);
+  }
+  return document;
+}
+
+function _findDidNode({didDocument, id}) {
+  if(!didDocument) {
+    return;
+  }
   for(const property in didDocument) {
     // veres one documents have a rigid structure, only array values contain
     // other nodes to pluck
@@ -241,14 +984,75 @@ async function _pluckDidNode(did, target, didDocument) {
     if(!Array.isArray(nodes)) {
       continue;
     }
-    for(const node of nodes) {
-      if(node.id === target) {
+    const node = nodes.find(node => node.id === id);
+    if(node) {
+      return node;
+    }
+  }
+}
+
+// generates the DID document for a cryptonym, the key material is derived
+// from the DID itself and is expressed as a `keyType` key
+async function _fromNym({did, keyType}) {
+  const {doc} = await VeresOneDidDoc.fromNym({did});
+  if(keyType !== 'Ed25519VerificationKey2020') {
+    return doc;
+  }
+  for(const proofPurpose of PROOF_PURPOSES) {
+    if(!Array.isArray(doc[proofPurpose])) {
+      continue;
+    }
+    doc[proofPurpose] = await Promise.all(doc[proofPurpose].map(
+      async method => {
+        const key = await Ed25519VerificationKey2018.from(method);
         return {
-          '@context': didDocument['@context'],
-          ...node
+          id: method.id,
+          type: keyType,
+          controller: method.controller,
+          publicKeyMultibase: key.fingerprint()
         };
-      }
+      }));
+  }
+  return doc;
+}
+
+function _childPointer({pointer, property}) {
+  return pointer === undefined ? undefined : `${pointer}/${property}`;
+}
+
+function _limitError({message, pointer, maximum, actual}) {
+  return {
+    error: new BedrockError(message, 'ValidationError', {
+      actual,
+      httpStatusCode: 400,
+      maximum,
+      pointer,
+      public: true,
+    }),
+    valid: false
+  };
+}
+
+function _traceResolution({trace, url, source, maxBlockHeight = null}) {
+  if(trace) {
+    trace.didResolutions.push({url, source, maxBlockHeight});
+  }
+}
+
+async function _pluckDidNode(did, target, didDocument) {
+  // find verification method in DID document
+  const node = _findDidNode({didDocument, id: target});
+  if(node) {
+    let context = didDocument['@context'];
+    // the Ed25519Signature2020 suite requires its context on the key
+    if(node.type === 'Ed25519VerificationKey2020' &&
+      ![].concat(context).includes(ED25519_2020_CONTEXT_V1_URL)) {
+      context = [].concat(context, ED25519_2020_CONTEXT_V1_URL);
     }
+    return {
+      '@context': context,
+      ...node
+    };
   }
 
   const err = new Error('Not Found.');
@@ -7,28 +7,67 @@ const bedrock = require('bedrock');
 const {util: {BedrockError}} = bedrock;
 const helpers = require('./helpers');
 const jsigs = require('jsonld-signatures');
+const signatureSuites = require('../signatureSuites');
 const {CapabilityInvocation} = require('@digitalbazaar/zcapld');
-const {Ed25519Signature2018} =
-  require('@digitalbazaar/ed25519-signature-2018');
+const {SECURITY_CONTEXT_V2_URL} = jsigs.constants;
 
-// TODO: in testnet v2, the `AuthorizeRequest` proof on the operation
-// is only validated using json-schema. For v3, use jsigs.verify to properly
-// validate the signature
-module.exports = async ({basisBlockHeight, ledgerNode, validatorInput}) => {
-  // select the required `capabilityAction` based on the operation type
-  let capabilityAction;
+module.exports = async ({
+  allErrors, basisBlockHeight, ledgerConfig, ledgerNode, rules, trace,
+  validatorConfig, validatorInput
+}) => {
+  // the accelerator proof is the `write` proof that invokes the ledger, the
+  // other proof is made by the controller of the record; before accelerator
+  // proofs are verified, the controller proof cannot be a `write` proof
+  const proofs = [].concat(validatorInput.proof);
+  const acceleratorProofIndex = proofs.findIndex(
+    ({capability, capabilityAction}) => capabilityAction === 'write' &&
+      (!rules.verifyAcceleratorProof || capability === ledgerConfig.ledger));
+  const controllerProofIndex = proofs.findIndex(
+    (proof, index) => index !== acceleratorProofIndex);
+  const controllerPointer = `/proof/${controllerProofIndex}`;
+  const acceleratorPointer = `/proof/${acceleratorProofIndex}`;
+  return helpers.runChecks({allErrors, trace, checks: [{
+    stage: 'controllerProof',
+    pointer: controllerPointer,
+    check: () => _verifyControllerProof({
+      basisBlockHeight, ledgerNode, pointer: controllerPointer,
+      proof: proofs[controllerProofIndex], rules, trace, validatorInput
+    })
+  }, {
+    stage: 'acceleratorProof',
+    pointer: acceleratorPointer,
+    check: () => {
+      const proof = proofs[acceleratorProofIndex];
+      if(!rules.verifyAcceleratorProof) {
+        return _checkMockAcceleratorProof(
+          {pointer: acceleratorPointer, proof, trace, validatorInput});
+      }
+      return _verifyAcceleratorProof({
+        basisBlockHeight, ledgerConfig, ledgerNode,
+        pointer: acceleratorPointer, proof, trace, validatorConfig,
+        validatorInput
+      });
+    }
+  }]});
+};
+
+async function _verifyControllerProof({
+  basisBlockHeight, ledgerNode, pointer, proof, rules, trace, validatorInput
+}) {
+  // the accepted `capabilityAction`s for the operation type are set by the
+  // rules of the active protocol version, a proof with another action does
+  // not match the first accepted action
+  const accepted = rules.capabilityAction[validatorInput.type] || [];
+  const capabilityAction = proof && accepted.includes(proof.capabilityAction) ?
+    proof.capabilityAction : accepted[0];
   let expectedTarget;
   const {record, recordPatch} = validatorInput;
 
   switch(validatorInput.type) {
     case 'CreateWebLedgerRecord':
-      // FIXME: change to `write`
-      capabilityAction = 'create';
       ({id: expectedTarget} = record);
       break;
     case 'UpdateWebLedgerRecord':
-      // FIXME: change to `write`
-      capabilityAction = 'update';
       ({target: expectedTarget} = recordPatch);
       break;
     default:
@@ -42,21 +81,23 @@ module.exports = async ({basisBlockHeight, ledgerNode, validatorInput}) => {
       return {valid: false, error};
   }
 
-  // FIXME: need to verify accelerator proof, not just DID controller proof
   const documentLoader = helpers.createDidDocumentLoader({
     basisBlockHeight, ledgerNode, record, recordPatch,
-    operationType: validatorInput.type
+    operationType: validatorInput.type, trace
   });
-  const result = await jsigs.verify(validatorInput, {
+  // the record is the root capability, so the proof must be made by its
+  // controller, as it was at `basisBlockHeight` for an update
+  const result = await _verifyProof({
     documentLoader,
-    compactProof: false,
+    proof,
     purpose: new CapabilityInvocation({
       capabilityAction,
-      // controller: record,
+      expectedRootCapability: expectedTarget,
       expectedTarget
     }),
-    suite: new Ed25519Signature2018(),
+    validatorInput
   });
+  _traceProof({trace, proof: 'controller', pointer, result});
 
   if(!result.verified) {
     const error = new BedrockError(
@@ -70,4 +111,118 @@ module.exports = async ({basisBlockHeight, ledgerNode, validatorInput}) => {
   }
   // success
   return {valid: true};
-};
+}
+
+// the `write` proof on an operation is made by an accelerator invoking the
+// root capability for the ledger itself, only the accelerators that are
+// approved in the validator config may invoke it
+async function _verifyAcceleratorProof({
+  basisBlockHeight, ledgerConfig, ledgerNode, pointer, proof, trace,
+  validatorConfig, validatorInput
+}) {
+  const {ledger} = ledgerConfig;
+  if(!ledger) {
+    const error = new BedrockError(
+      'Invalid ledger configuration. `ledger` is not defined.',
+      'InvalidStateError', {
+        httpStatusCode: 400,
+        public: true,
+      });
+    return {valid: false, error};
+  }
+  const {approvedAccelerator} = validatorConfig;
+  if(!approvedAccelerator) {
+    const error = new BedrockError(
+      'Invalid ledger validator configuration. `approvedAccelerator` ' +
+      'is not defined.', 'InvalidStateError', {
+        httpStatusCode: 400,
+        public: true,
+      });
+    return {valid: false, error};
+  }
+
+  const rootCapability = {
+    '@context': SECURITY_CONTEXT_V2_URL,
+    id: ledger,
+    invoker: approvedAccelerator,
+  };
+  // accelerator keys are resolved from the ledger at `basisBlockHeight`
+  const didDocumentLoader = helpers.createDidDocumentLoader(
+    {basisBlockHeight, ledgerNode, trace});
+  const documentLoader = async url => {
+    if(url === ledger) {
+      return {
+        contextUrl: null,
+        document: bedrock.util.clone(rootCapability),
+        documentUrl: url
+      };
+    }
+    return didDocumentLoader(url);
+  };
+  const result = await _verifyProof({
+    documentLoader,
+    proof,
+    purpose: new CapabilityInvocation({
+      capabilityAction: 'write',
+      expectedRootCapability: ledger,
+      expectedTarget: ledger
+    }),
+    validatorInput
+  });
+  _traceProof({trace, proof: 'accelerator', pointer, result});
+
+  if(!result.verified) {
+    const error = new BedrockError(
+      'Accelerator proof verification failed.', 'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        operation: validatorInput,
+        proofVerifyResult: result
+      });
+    return {valid: false, error};
+  }
+  // success
+  return {valid: true};
+}
+
+// the accelerator proof on an operation in a historical block has a mock
+// `jws` that is not a signature, see the `verifyAcceleratorProof` rule
+async function _checkMockAcceleratorProof(
+  {pointer, proof, trace, validatorInput}) {
+  const result = {verified: !!proof && proof.jws === 'MOCKPROOF'};
+  _traceProof({trace, proof: 'accelerator', pointer, result});
+
+  if(!result.verified) {
+    const error = new BedrockError(
+      'Accelerator proof verification failed.', 'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        operation: validatorInput,
+        proofVerifyResult: result
+      });
+    return {valid: false, error};
+  }
+  return {valid: true};
+}
+
+// each proof is verified on its own since both proofs may have a `write`
+// `capabilityAction`, a missing proof or a proof without an enabled signature
+// suite fails verification
+async function _verifyProof({documentLoader, proof, purpose, validatorInput}) {
+  const suite = signatureSuites.createSuites({proof: [].concat(proof || [])});
+  if(suite.length === 0) {
+    return {
+      verified: false,
+      error: new Error('No proof with a supported signature suite found.')
+    };
+  }
+  return jsigs.verify({...validatorInput, proof}, {
+    documentLoader, compactProof: false, purpose, suite
+  });
+}
+
+function _traceProof({trace, proof, pointer, result}) {
+  if(trace) {
+    trace.proofs.push({proof, pointer, verified: result.verified, result});
+  }
+}
@@ -1,21 +1,134 @@
 /*!
- * Copyright (c) 2017-2019 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
  */
 'use strict';
 
+const _ = require('lodash');
 const bedrock = require('bedrock');
-const {util: {BedrockError}} = bedrock;
+const {config: {constants}, util: {BedrockError}} = bedrock;
+const {constants: {DID_CONTEXT_URL: DID_CONTEXT_V1_URL}} =
+  require('did-context');
+const didParser = require('../didParser');
 const helpers = require('./helpers');
+const recordTypes = require('../recordTypes');
 const jsonpatch = require('fast-json-patch');
-const {validate} = require('bedrock-validation');
-const {VeresOneDidDoc} = require('did-veres-one');
+
+// the stable error `code` and `reason` for each `fast-json-patch` error, the
+// patch operations themselves are validated by the schema
+const PATCH_ERRORS = new Map([
+  ['OPERATION_PATH_UNRESOLVABLE', {
+    code: 'PATH_NOT_FOUND',
+    reason: 'The `path` does not exist in the record.'
+  }],
+  ['OPERATION_FROM_UNRESOLVABLE', {
+    code: 'FROM_NOT_FOUND',
+    reason: 'The `from` path does not exist in the record.'
+  }],
+  ['OPERATION_PATH_CANNOT_ADD', {
+    code: 'PATH_CANNOT_ADD',
+    reason: 'A value cannot be added at the `path`.'
+  }],
+  ['OPERATION_PATH_ILLEGAL_ARRAY_INDEX', {
+    code: 'INVALID_ARRAY_INDEX',
+    reason: 'The `path` has an array index that is not an unsigned integer.'
+  }],
+  ['OPERATION_VALUE_OUT_OF_BOUNDS', {
+    code: 'ARRAY_INDEX_OUT_OF_BOUNDS',
+    reason: 'The `path` has an array index greater than the array length.'
+  }],
+  ['TEST_OPERATION_FAILED', {
+    code: 'TEST_FAILED',
+    reason: 'The `test` operation failed.'
+  }],
+]);
+const INVALID_PATCH_OPERATION = {
+  code: 'INVALID_OPERATION',
+  reason: 'The patch operation is invalid.'
+};
+
+// the rules for the paths of a patched record, they are enforced by diffing
+// the original and patched records:
+// - `immutable`: a path may not be added, changed or removed.
+// - `methodIds`: the paths of the verification methods, an existing method
+//   keeps its `id`; a method with the key of an existing method at any of the
+//   paths must have an `id` that key had.
+// - `contextMigration`: the DID context, the first context at a path, may
+//   only be changed by migrating a DID document from the DID v0.11 context to
+//   the DID Core 1.0 context in an update that changes nothing else.
+const DID_DOCUMENT_RULES = [
+  {path: '/@context', rule: 'contextMigration'},
+  {path: '/id', rule: 'immutable'},
+  {path: '/type', rule: 'immutable'},
+  {path: '/verificationMethod', rule: 'methodIds'},
+  {path: '/assertionMethod', rule: 'methodIds'},
+  {path: '/authentication', rule: 'methodIds'},
+  {path: '/capabilityDelegation', rule: 'methodIds'},
+  {path: '/capabilityInvocation', rule: 'methodIds'},
+];
+// the rules of a registered record type are its `updateRules`, see
+// `recordTypes.register`
 
 module.exports = async ({
-  basisBlockHeight, electorPool, ledgerNode, validatorInput,
-  validatorParameterSet
+  allErrors, basisBlockHeight, electorPool, ledgerNode, limits = {}, network,
+  trace, validatorInput, validatorParameterSet
 }) => {
   const {recordPatch} = validatorInput;
   const record = await ledgerNode.records.get({recordId: recordPatch.target});
+  if(record.record.deactivated) {
+    return helpers.deactivatedError({recordId: recordPatch.target});
+  }
+  const {patch} = recordPatch;
+  const {record: originalDocument} = record;
+  // the record type is that of the stored record, like on create a
+  // `did:v1:uuid:` record is a registered record type and any other record is
+  // a DID document, so a patch cannot change which rules apply to a record
+  let recordType;
+  if(didParser.parse({url: recordPatch.target, network}).kind === 'uuid') {
+    recordType = recordTypes.get({type: originalDocument.type});
+    if(!recordType) {
+      const error = new BedrockError(
+        'Unknown record type.', 'ValidationError', {
+          httpStatusCode: 400,
+          pointer: '/recordPatch/target',
+          public: true,
+          type: originalDocument.type,
+        });
+      return {error, valid: false};
+    }
+  }
+  // set once the patch has been applied
+  let patchedDocument;
+  return helpers.runChecks({allErrors, trace, checks: [{
+    stage: 'sequence',
+    pointer: '/recordPatch/sequence',
+    check: async () => _validateSequence({record, recordPatch})
+  }, {
+    stage: 'patch',
+    pointer: '/recordPatch/patch',
+    // the remaining checks validate the patched document
+    prerequisite: true,
+    check: async () => {
+      const result = _applyPatch({originalDocument, patch});
+      ({patchedDocument} = result);
+      return result;
+    }
+  }, {
+    stage: 'immutable',
+    pointer: '/recordPatch/patch',
+    check: async () => _validateUpdateRules(
+      {originalDocument, patchedDocument, recordType})
+  }, {
+    stage: 'patchedDocument',
+    pointer: '/recordPatch/patch',
+    check: () => _validatePatchedDocument({
+      allErrors, basisBlockHeight, electorPool, ledgerNode, limits, network,
+      originalDocument, patch, patchedDocument, recordType, trace,
+      validatorInput, validatorParameterSet
+    })
+  }]});
+};
+
+function _validateSequence({record, recordPatch}) {
   const {sequence} = recordPatch;
   const {meta: {sequence: expectedSequence = 0}} = record;
   if(sequence !== expectedSequence) {
@@ -30,16 +143,25 @@ module.exports = async ({
       });
     return {error, valid: false};
   }
-  const {patch} = recordPatch;
-  const {record: originalDocument} = record;
-  const errors = jsonpatch.validate(patch, originalDocument);
-  if(errors) {
+  return {valid: true};
+}
+
+function _applyPatch({originalDocument, patch}) {
+  const patchError = jsonpatch.validate(patch, originalDocument);
+  if(patchError) {
+    const {index} = patchError;
+    const {code, reason} = PATCH_ERRORS.get(patchError.name) ||
+      INVALID_PATCH_OPERATION;
     const error = new BedrockError(
       'The given JSON patch is invalid.', 'ValidationError', {
+        code,
         httpStatusCode: 400,
+        index,
         public: true,
         patch,
-        errors
+        pointer: index === undefined ?
+          '/recordPatch/patch' : `/recordPatch/patch/${index}`,
+        reason,
       });
     return {error, valid: false};
   }
@@ -51,76 +173,252 @@ module.exports = async ({
   const mutateDocument = false;
   const {newDocument: patchedDocument} = jsonpatch.applyPatch(
     originalDocument, patch, validateOperation, mutateDocument);
+  return {patchedDocument, valid: true};
+}
 
-  if(originalDocument.id !== patchedDocument.id) {
-    return _immutableValidationError(
-      {key: 'id', originalDocument, patchedDocument});
-  }
-  // if the original document has a type, do not allow it to be changed
-  if(originalDocument.type && originalDocument.type !== patchedDocument.type) {
-    return _immutableValidationError(
-      {key: 'type', originalDocument, patchedDocument});
-  }
-  if(patchedDocument.type === 'ElectorPool') {
-    const result = validate(
-      'veres-one-validator.electorPoolDocument', patchedDocument);
+function _validateUpdateRules(
+  {originalDocument, patchedDocument, recordType}) {
+  const rules = recordType ? recordType.updateRules : DID_DOCUMENT_RULES;
+  // a key may be moved between the method paths, so they are compared as one
+  const methodPaths = rules.filter(({rule}) => rule === 'methodIds')
+    .map(({path}) => path);
+  if(methodPaths.length > 0) {
+    const result = _validateExistingMethodIds(
+      {originalDocument, patchedDocument, paths: methodPaths});
     if(!result.valid) {
       return result;
     }
-  } else if(patchedDocument.type === 'ValidatorParameterSet') {
-    const result = validate(
-      'veres-one-validator.validatorParameterSet', patchedDocument);
-    if(!result.valid) {
-      return result;
+  }
+  for(const {path, rule} of rules) {
+    if(rule === 'methodIds') {
+      continue;
     }
-  } else {
-    // regular cryptonym DID document
-    let result = validate(
-      'veres-one-validator.updateDidDocument', patchedDocument);
-    if(!result.valid) {
-      return result;
+    const originalValue = _getValue({document: originalDocument, path});
+    const patchedValue = _getValue({document: patchedDocument, path});
+    if(_.isEqual(originalValue, patchedValue)) {
+      continue;
     }
-
-    const {id: did, service} = patchedDocument;
-    if(service) {
-      const result = await helpers.validateService({
-        basisBlockHeight, did, ledgerNode, service, validatorParameterSet
-      });
-      if(!result.valid) {
-        return result;
-      }
+    if(rule === 'contextMigration' &&
+      !_isAllowedContextChange({originalDocument, patchedDocument})) {
+      return {
+        error: new BedrockError(
+          'The DID context of a DID document may only be changed by ' +
+          'migrating it from the DID v0.11 context to the DID v1 context in ' +
+          'an update that changes nothing else.', 'ValidationError', {
+            httpStatusCode: 400,
+            originalContext: originalValue,
+            patchedContext: patchedValue,
+            path,
+            public: true,
+          }),
+        valid: false
+      };
     }
+    if(rule === 'immutable') {
+      return _immutableValidationError(
+        {key: path.substr(1), originalDocument, patchedDocument});
+    }
+  }
+  return {valid: true};
+}
 
-    // NOTE: the DID itself (document.id) is not validated here. It was
-    // proper when the document was created and may not be updated. It is
-    // also possible that the key that informed the creation of a
-    // cryptonym (nym) DID may have been removed from the document which
-    // makes it impossible to validate the cryptonym.
-
-    // ensure method IDs are valid
-    const patchedDidDocument = new VeresOneDidDoc({doc: patchedDocument});
-    result = await patchedDidDocument.validateMethodIds();
-    if(!result.valid) {
+function _validateExistingMethodIds(
+  {originalDocument, patchedDocument, paths}) {
+  // the IDs each key has in the original document
+  const originalIds = new Map();
+  for(const {method} of _getEmbeddedMethods(
+    {document: originalDocument, paths})) {
+    const key = _getKeyMaterial({method});
+    if(key) {
+      originalIds.set(key, [...(originalIds.get(key) || []), method.id]);
+    }
+  }
+  for(const {method, path} of _getEmbeddedMethods(
+    {document: patchedDocument, paths})) {
+    const ids = originalIds.get(_getKeyMaterial({method}));
+    if(ids && !ids.includes(method.id)) {
       return {
         error: new BedrockError(
-          'Error validating DID.', 'ValidationError', {
+          'The "id" of an existing verification method is immutable.',
+          'ValidationError', {
             httpStatusCode: 400,
+            methodId: method.id,
+            originalMethodIds: ids,
+            path,
             public: true,
-          }, result.error),
+          }),
         valid: false
       };
     }
   }
+  return {valid: true};
+}
+
+// only embedded methods are returned, references are validated with the rest
+// of the DID document
+function _getEmbeddedMethods({document, paths}) {
+  const methods = [];
+  for(const path of paths) {
+    const value = _getValue({document, path});
+    for(const method of [].concat(value || [])) {
+      if(method && typeof method === 'object') {
+        methods.push({method, path});
+      }
+    }
+  }
+  return methods;
+}
+
+function _getKeyMaterial({method}) {
+  return method.publicKeyBase58 || method.publicKeyMultibase ||
+    method.publicKeyPem;
+}
+
+// the other contexts of a DID document may change with its verification
+// methods, in a migration the DID v1 context replaces the DID v0.11 context
+// and the contexts of the verification method types, which the DID v1
+// context does not define, may be added
+function _isAllowedContextChange({originalDocument, patchedDocument}) {
+  const [originalDidContext, ...originalRest] =
+    [].concat(originalDocument['@context']);
+  const [patchedDidContext, ...patchedRest] =
+    [].concat(patchedDocument['@context']);
+  if(originalDidContext === patchedDidContext) {
+    return true;
+  }
+  return originalDidContext === constants.DID_CONTEXT_URL &&
+    patchedDidContext === DID_CONTEXT_V1_URL &&
+    originalRest.every(context => patchedRest.includes(context)) &&
+    _.isEqual(
+      _.omit(originalDocument, '@context'),
+      _.omit(patchedDocument, '@context'));
+}
+
+function _getValue({document, path}) {
+  // rule paths are JSON pointers to top-level properties
+  return document[path.substr(1)];
+}
+
+async function _validatePatchedDocument({
+  allErrors, basisBlockHeight, electorPool, ledgerNode, limits, network,
+  originalDocument, patch, patchedDocument, recordType, trace, validatorInput,
+  validatorParameterSet
+}) {
+  const document = patchedDocument;
+  if(recordType) {
+    const checks = recordTypes.createChecks({
+      recordType,
+      pointer: '/recordPatch/patch',
+      context: {
+        basisBlockHeight, electorPool, ledgerNode, network,
+        operationType: validatorInput.type, originalDocument,
+        record: patchedDocument, trace, validatorInput, validatorParameterSet
+      }
+    });
+    return helpers.runChecks({allErrors, checks, trace});
+  }
+  if('deactivated' in patchedDocument) {
+    // a deactivated DID document must be a tombstone
+    return helpers.validateSchema({
+      schema: 'veres-one-validator.deactivatedDidDocument', document, network,
+      trace
+    });
+  }
+
+  // regular cryptonym DID document, removing every capabilityInvocation
+  // method would make it impossible to update the DID again, the DID must
+  // be deactivated instead
+  if(!patchedDocument.capabilityInvocation) {
+    return {
+      error: new BedrockError(
+        'An update may not remove every "capabilityInvocation" method ' +
+        'unless it deactivates the DID.', 'ValidationError', {
+          httpStatusCode: 400,
+          public: true,
+          patch,
+        }),
+      valid: false
+    };
+  }
 
-  // validate a patched electorPool document
-  if(electorPool && electorPool === patchedDocument.id) {
-    const {electorPool, maximumElectorCount} = patchedDocument;
-    return helpers.validateElectorPoolElectors(
-      {electorPool, ledgerNode, maximumElectorCount});
+  const {id: did, service} = patchedDocument;
+  const checks = [{
+    pointer: '/recordPatch/patch',
+    // the remaining checks need a valid DID document
+    prerequisite: true,
+    check: async () => helpers.validateSchema({
+      schema: 'veres-one-validator.updateDidDocument', document, network,
+      trace
+    })
+  }, {
+    stage: 'methodReferences',
+    pointer: '/recordPatch/patch',
+    // the method IDs are validated with the methods the references resolve to
+    prerequisite: true,
+    check: async () => helpers.validateMethodReferences({document})
+  }, {
+    stage: 'limits',
+    pointer: '/recordPatch/patch',
+    check: async () => helpers.validateDocumentLimits({document, limits})
+  }, {
+    stage: 'didContext',
+    pointer: '/recordPatch/patch',
+    check: async () => helpers.validateDidDocumentContext({document})
+  }];
+  if(service) {
+    checks.push({
+      stage: 'service',
+      pointer: '/recordPatch/patch',
+      check: () => helpers.validateService({
+        basisBlockHeight, did, ledgerNode, service, trace,
+        validatorParameterSet
+      })
+    });
+  }
+
+  // NOTE: the DID itself (document.id) is not validated here. It was
+  // proper when the document was created and may not be updated. It is
+  // also possible that the key that informed the creation of a
+  // cryptonym (nym) DID may have been removed from the document which
+  // makes it impossible to validate the cryptonym.
+
+  // ensure method IDs are valid
+  checks.push({
+    stage: 'methodIds',
+    pointer: '/recordPatch/patch',
+    check: () => _validateMethodIds({patchedDocument})
+  });
+  return helpers.runChecks({allErrors, checks, trace});
+}
+
+async function _validateMethodIds({patchedDocument}) {
+  let patchedDidDocument;
+  try {
+    patchedDidDocument = helpers.createVeresOneDidDoc(
+      {doc: patchedDocument});
+  } catch(e) {
+    return {
+      error: new BedrockError(
+        'Error validating DID.', 'ValidationError', {
+          httpStatusCode: 400,
+          public: true,
+        }, e),
+      valid: false
+    };
+  }
+  const result = await patchedDidDocument.validateMethodIds();
+  if(!result.valid) {
+    return {
+      error: new BedrockError(
+        'Error validating DID.', 'ValidationError', {
+          httpStatusCode: 400,
+          public: true,
+        }, result.error),
+      valid: false
+    };
   }
-  // success
   return {valid: true};
-};
+}
 
 function _immutableValidationError({key, originalDocument, patchedDocument}) {
   return {
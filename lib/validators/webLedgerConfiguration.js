@@ -1,40 +1,158 @@
 /*!
- * Copyright (c) 2017-2019 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
  */
 'use strict';
 
 const bedrock = require('bedrock');
-const bs58 = require('bs58');
 const {config: {constants}, util: {BedrockError}} = bedrock;
 const {documentLoader} = require('bedrock-jsonld-document-loader');
+const helpers = require('./helpers');
 const jsigs = require('jsonld-signatures');
-const multicodec = require('multicodec');
-const multibase = require('multibase');
-const {validate} = require('bedrock-validation');
-const {Ed25519Signature2018} =
-  require('@digitalbazaar/ed25519-signature-2018');
-const {Ed25519VerificationKey2018} =
-  require('@digitalbazaar/ed25519-verification-key-2018');
+const signatureSuites = require('../signatureSuites');
 const {AssertionProofPurpose} = jsigs.purposes;
 const URL = require('url');
 
-/* eslint-disable-next-line no-unused-vars */
-module.exports = async ({ledgerNode, validatorInput}) => {
-  // TODO: configuration will need to be signed
-  // according to the validator config (use approvedSigners)... and also
-  // require the ledgerConfiguration to include a `capabilityRoot` for now
-  const result = validate(
-    'veres-one-validator.ledgerConfiguration', validatorInput);
+const NYM_KEY_TYPES = [
+  'Ed25519VerificationKey2018',
+  'Ed25519VerificationKey2020',
+];
+
+// `ledgerConfig` is the configuration in effect, the genesis configuration is
+// validated before there is a block and so without a `basisBlockHeight`
+module.exports = async ({
+  /* eslint-disable-next-line no-unused-vars */
+  basisBlockHeight, ledgerConfig = {}, ledgerNode, rules, trace,
+  validatorInput
+}) => {
+  // the DIDs in the configuration are for the network it selects
+  const network = _getNetwork({ledgerConfig: validatorInput});
+  const result = helpers.validateSchema({
+    schema: 'veres-one-validator.ledgerConfiguration',
+    document: validatorInput, network, trace
+  });
   if(!result.valid) {
     return result;
   }
+  const genesis = basisBlockHeight === undefined || !ledgerConfig.ledger;
+  const {ledger, sequence} = validatorInput;
+  if(sequence !== 0 && !rules.ledgerConfigurationAmendment) {
+    const error = new BedrockError(
+      'Ledger configuration amendments are not supported by the active ' +
+      'protocol version.', 'NotSupportedError', {
+        httpStatusCode: 400,
+        public: true,
+        sequence,
+      });
+    return {valid: false, error};
+  }
+  const expectedSequence = genesis ? 0 : ledgerConfig.sequence + 1;
+  if(sequence !== expectedSequence) {
+    const error = new BedrockError(
+      'The given sequence number does not match the next ledger ' +
+      'configuration sequence.',
+      'ValidationError', {
+        httpStatusCode: 409,
+        public: true,
+        sequence,
+        expectedSequence
+      });
+    return {valid: false, error};
+  }
+  if(!genesis && ledger !== ledgerConfig.ledger) {
+    const error = new BedrockError(
+      'The ledger configuration `ledger` may not be changed.',
+      'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        ledger,
+        expectedLedger: ledgerConfig.ledger
+      });
+    return {valid: false, error};
+  }
+  if(!genesis && network !== _getNetwork({ledgerConfig})) {
+    const error = new BedrockError(
+      'The ledger configuration network may not be changed.',
+      'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        network,
+        expectedNetwork: _getNetwork({ledgerConfig})
+      });
+    return {valid: false, error};
+  }
+
+  const [{approvedSigner, minimumSignaturesRequired = 1} = {}] =
+    validatorInput.ledgerConfigurationValidator;
+  if(approvedSigner && minimumSignaturesRequired > approvedSigner.length) {
+    const error = new BedrockError(
+      '`minimumSignaturesRequired` exceeds the number of approved signers.',
+      'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        approvedSigner,
+        minimumSignaturesRequired,
+      });
+    return {valid: false, error};
+  }
+
+  // every proof must be valid
+  const proofs = [].concat(validatorInput.proof);
+  for(const [index, proof] of proofs.entries()) {
+    const result = await _verifyProof({
+      pointer: Array.isArray(validatorInput.proof) ? `/proof/${index}` :
+        '/proof',
+      proof, trace, validatorInput
+    });
+    if(!result.valid) {
+      return result;
+    }
+  }
+
+  // the genesis configuration is validated against itself, an amendment must
+  // be signed by enough signers approved by the current configuration
+  const approval = _getApproval(
+    {ledgerConfig: genesis ? validatorInput : ledgerConfig});
+  // a signer is identified by the DID of its key
+  const signers = [...new Set(proofs
+    .map(({verificationMethod}) => verificationMethod)
+    .filter(id => approval.approvedSigner.includes(id))
+    .map(id => id.split('#')[0]))];
+  if(signers.length < approval.minimumSignaturesRequired) {
+    const error = new BedrockError(
+      'The ledger configuration is not signed by enough approved signers.',
+      'ValidationError', {
+        httpStatusCode: 400,
+        public: true,
+        ...approval,
+        signers,
+      });
+    return {valid: false, error};
+  }
+  return {valid: true};
+};
+
+async function _verifyProof({pointer, proof, trace, validatorInput}) {
   // FIXME: for testnet_v2, the genesis configuration has a
   // AssertionProofPurpose
-  const {proof: {verificationMethod: publicKeyId}} = validatorInput;
+  const {type, verificationMethod: publicKeyId} = proof;
+  // the key material is derived from the nym DID, so only ed25519 keys
+  // can be used
+  const signatureSuite = signatureSuites.get({type});
+  if(!(signatureSuite && NYM_KEY_TYPES.includes(signatureSuite.keyType))) {
+    const error = new BedrockError(
+      'Unsupported proof type.', 'NotSupportedError', {
+        httpStatusCode: 400,
+        public: true,
+        operation: validatorInput,
+        type,
+      });
+    return {valid: false, error};
+  }
+  const {KeyClass, createSuite, keyType} = signatureSuite;
 
   let computedKey;
   try {
-    computedKey = _getPublicKey(publicKeyId);
+    computedKey = _getPublicKey({keyType, publicKeyId});
   } catch(e) {
     const error = new BedrockError(
       'The signing key is not properly encoded.', 'ValidationError', {
@@ -45,17 +163,24 @@ module.exports = async ({ledgerNode, validatorInput}) => {
     return {valid: false, error};
   }
 
-  const key = await Ed25519VerificationKey2018.from(computedKey);
+  const key = await KeyClass.from(computedKey);
   const controller = {
     '@context': constants.SECURITY_CONTEXT_URL,
     id: publicKeyId,
     assertionMethod: publicKeyId,
   };
-  const proofVerifyResult = await jsigs.verify(validatorInput, {
+  // verify each proof on its own, the suite only matches proofs by `key`
+  const proofVerifyResult = await jsigs.verify({...validatorInput, proof}, {
     documentLoader,
     purpose: new AssertionProofPurpose({controller}),
-    suite: new Ed25519Signature2018({key}),
+    suite: createSuite({key}),
   });
+  if(trace) {
+    trace.proofs.push({
+      proof: 'signer', pointer, verificationMethod: publicKeyId,
+      verified: proofVerifyResult.verified, result: proofVerifyResult
+    });
+  }
   if(!proofVerifyResult.verified) {
     const error = new BedrockError(
       'Proof verification failed.', 'ValidationError', {
@@ -67,13 +192,43 @@ module.exports = async ({ledgerNode, validatorInput}) => {
     return {valid: false, error};
   }
   return {valid: true};
-};
+}
 
-function _getPublicKey(publicKeyId) {
-  const publicKeyBase58 = _getPublicKeyFromId(publicKeyId);
+// the signers approved by `ledgerConfig` to sign the next configuration and
+// how many of them must sign are listed in its validator config, otherwise a
+// signer of `ledgerConfig` must sign
+function _getApproval({ledgerConfig}) {
+  const [{approvedSigner, minimumSignaturesRequired = 1} = {}] =
+    ledgerConfig.ledgerConfigurationValidator;
+  if(approvedSigner) {
+    return {approvedSigner, minimumSignaturesRequired};
+  }
+  return {
+    approvedSigner: [].concat(ledgerConfig.proof).map(
+      ({verificationMethod}) => verificationMethod),
+    minimumSignaturesRequired: 1
+  };
+}
+
+function _getNetwork({ledgerConfig}) {
+  const validatorConfig = [].concat(ledgerConfig.operationValidator || [])
+    .find(({type}) => type === 'VeresOneValidator2017');
+  return helpers.getNetwork({validatorConfig});
+}
+
+function _getPublicKey({keyType, publicKeyId}) {
+  const {fingerprint, publicKeyBase58} = _getPublicKeyFromId(publicKeyId);
+  if(keyType === 'Ed25519VerificationKey2020') {
+    return {
+      id: publicKeyId,
+      type: keyType,
+      controller: publicKeyId,
+      publicKeyMultibase: fingerprint
+    };
+  }
   return {
     id: publicKeyId,
-    type: 'Ed25519VerificationKey2018',
+    type: keyType,
     controller: publicKeyId,
     publicKey: publicKeyId,
     publicKeyBase58
@@ -83,16 +238,7 @@ function _getPublicKey(publicKeyId) {
 function _getPublicKeyFromId(publicKeyId) {
   const parsed = URL.parse(publicKeyId);
   // drops the # from the front
-  const mbPubkey = parsed.hash.substr(1);
-  const mcPubkeyBytes = multibase.decode(mbPubkey);
-  const mcType = multicodec.getCodec(mcPubkeyBytes);
-  if(mcType !== 'ed25519-pub') {
-    throw new BedrockError(
-      'Key ID is not a multiformats encoded ed25519 public key.',
-      'EncodingError', {publicKeyId});
-  }
-  const pubkeyBytes = multicodec.rmPrefix(mcPubkeyBytes);
-  // now that prefix is removed, re-encode to base58
-  const b58Pubkey = bs58.encode(pubkeyBytes);
-  return b58Pubkey;
+  const fingerprint = parsed.hash.substr(1);
+  const publicKeyBase58 = helpers.getEd25519PublicKeyBase58({fingerprint});
+  return {fingerprint, publicKeyBase58};
 }
@@ -6,17 +6,21 @@
 const bedrock = require('bedrock');
 const {config} = bedrock;
 require('../lib/config');
+const didParser = require('../lib/didParser');
 
 const cfg = config['veres-one-validator'];
 
-const prefix = cfg.environment === 'test' ? 'did:v1:test' : 'did:v1';
-/* eslint-disable-next-line max-len */
-const pattern = `^${prefix}:uuid:([a-fA-F0-9]{8}-[a-fA-F0-9]{4}-4[a-fA-F0-9]{3}-[89abAB][a-fA-F0-9]{3}-[a-fA-F0-9]{12})$`;
+// the schemas by network
+const SCHEMAS = new Map();
 
-const schema = {
-  title: 'DID UUID',
-  type: 'string',
-  pattern,
+// the network defaults to the network of the configured environment
+module.exports = ({network = didParser.getNetwork(cfg)} = {}) => {
+  if(!SCHEMAS.has(network)) {
+    SCHEMAS.set(network, {
+      title: 'DID UUID',
+      type: 'string',
+      pattern: didParser.createPattern({kind: 'uuid', network}),
+    });
+  }
+  return SCHEMAS.get(network);
 };
-
-module.exports = () => schema;
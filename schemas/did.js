@@ -6,22 +6,26 @@
 const bedrock = require('bedrock');
 const {config} = bedrock;
 require('../lib/config');
+const didParser = require('../lib/didParser');
 
 const cfg = config['veres-one-validator'];
 
-const pattern = cfg.environment === 'test' ?
-  '^(did\:v1\:test\:nym\:)([-_A-Za-z0-9.]+)$' :
-  '^(did\:v1\:nym\:)([-_A-Za-z0-9.]+)$';
+// the schemas by network
+const SCHEMAS = new Map();
 
-const schema = {
-  title: 'Decentralized Identifier',
-  description: 'A decentralized identifier.',
-  type: 'string',
-  pattern,
-  errors: {
-    invalid: 'The decentralized identifier is invalid.',
-    missing: 'Please enter a decentralized identifier.'
+// the network defaults to the network of the configured environment
+module.exports = ({network = didParser.getNetwork(cfg)} = {}) => {
+  if(!SCHEMAS.has(network)) {
+    SCHEMAS.set(network, {
+      title: 'Decentralized Identifier',
+      description: 'A decentralized identifier.',
+      type: 'string',
+      pattern: didParser.createPattern({kind: 'nym', network}),
+      errors: {
+        invalid: 'The decentralized identifier is invalid.',
+        missing: 'Please enter a decentralized identifier.'
+      }
+    });
   }
+  return SCHEMAS.get(network);
 };
-
-module.exports = () => schema;
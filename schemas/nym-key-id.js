@@ -0,0 +1,34 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config} = bedrock;
+require('../lib/config');
+const didParser = require('../lib/didParser');
+
+const cfg = config['veres-one-validator'];
+
+// the schemas by network
+const SCHEMAS = new Map();
+
+// the ID of a key in a cryptonym DID document, the fragment is the multibase
+// encoded key fingerprint, the network defaults to the network of the
+// configured environment
+module.exports = ({network = didParser.getNetwork(cfg)} = {}) => {
+  if(!SCHEMAS.has(network)) {
+    SCHEMAS.set(network, {
+      title: 'Cryptonym Key ID',
+      description: 'The ID of a key in a cryptonym DID document.',
+      type: 'string',
+      pattern: didParser.createPattern(
+        {kind: 'nym', network, fragment: 'z[1-9A-HJ-NP-Za-km-z]+'}),
+      errors: {
+        invalid: 'The key ID is invalid.',
+        missing: 'Please enter a key ID.'
+      }
+    });
+  }
+  return SCHEMAS.get(network);
+};
@@ -3,25 +3,19 @@
  */
 'use strict';
 
-const bedrock = require('bedrock');
-const {config} = bedrock;
-require('../lib/config');
-
-const cfg = config['veres-one-validator'];
-
-// TODO: improve regex for service IDs
-// eslint-disable-next-line no-unused-vars
-const pattern = cfg.environment === 'test' ?
-  '^(did\:v1\:test\:nym\:|did\:v1\:test\:uuid\:)([-_A-Za-z0-9.]+)' +
-    ';service=(.*)$' :
-  '^(did\:v1\:nym\:|did\:v1\:uuid\:)([-_A-Za-z0-9.]+);service=(.*)$';
-
 const serviceId = {
   title: 'Service Identifier',
   description: 'A service identifier.',
   type: 'string',
-  // FIXME: a service ID can be any type of URL, not just did: ??
-  // pattern,
+  // a service ID may reference the service of another DID (e.g. in an
+  // elector pool), the service IDs in a DID document are validated to be
+  // DID URLs for the document by the validator with the DID parser
+};
+
+const serviceType = {
+  title: 'Service Type',
+  description: 'A service type.',
+  type: 'string',
 };
 
 const serviceDescriptor = {
@@ -35,17 +29,18 @@ const serviceDescriptor = {
   type: 'object',
   properties: {
     id: serviceId,
-    type: {
-      // FIXME: this will be validated on some const TBD, possibly
-      // SeeAlsoService
-      type: 'string',
-    },
+    // the type is checked against the `allowedServiceType` list of the
+    // ValidatorParameterSet by the validator
+    type: serviceType,
     serviceEndpoint: {
-      // TODO: can this be improved? pattern starting with https://?
+      // the URL is parsed and checked against the allowed service base URLs
+      // by the validator
       type: 'string',
+      format: 'uri',
     }
   }
 };
 
 module.exports.serviceDescriptor = () => serviceDescriptor;
 module.exports.serviceId = () => serviceId;
+module.exports.serviceType = () => serviceType;
@@ -3,13 +3,25 @@
  */
 'use strict';
 
-const {config: {constants}} = require('bedrock');
+const {config} = require('bedrock');
+const {constants} = config;
+require('../lib/config');
+const {constants: {DID_CONTEXT_URL: DID_CONTEXT_V1_URL}} =
+  require('did-context');
+const {constants: {CONTEXT_URL: ED25519_2018_CONTEXT_V1_URL}} =
+  require('ed25519-signature-2018-context');
+const {constants: {CONTEXT_URL: ED25519_2020_CONTEXT_V1_URL}} =
+  require('ed25519-signature-2020-context');
 const {schemas} = require('bedrock-validation');
 const did = require('./did');
+const didParser = require('../lib/didParser');
 const didUuid = require('./did-uuid');
-const {serviceDescriptor, serviceId} = require('./service');
+const nymKeyId = require('./nym-key-id');
+const {serviceDescriptor, serviceId, serviceType} = require('./service');
 const urnUuid = require('./urn-uuid');
 
+const cfg = config['veres-one-validator'];
+
 const caveat = {
   additionalProperties: false,
   required: [
@@ -88,8 +100,23 @@ const operationValidator = {
       },
     },
     validatorParameterSet: didUuid(),
+    // the network of the DIDs on the ledger, `live` or `test`, defaults to
+    // the network of the configured environment
+    network: {
+      type: 'string',
+      enum: ['live', 'test'],
+    },
+    approvedAccelerator: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: did(),
+    },
   },
 };
+
+// the validator config of ledger configurations, see
+// `ledgerConfigurationValidator`
 const configurationValidator = {
   title: 'Veres One Validator Config',
   type: 'object',
@@ -98,8 +125,24 @@ const configurationValidator = {
     'type',
   ],
   properties: {
+    // the IDs of the keys approved to sign the next configuration
+    approvedSigner: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: nymKeyId(),
+    },
+    // the number of distinct approved signers that must sign the next
+    // configuration
+    minimumSignaturesRequired: {
+      type: 'integer',
+      minimum: 1,
+    },
     type: {const: 'VeresOneValidator2017'},
   },
+  dependencies: {
+    minimumSignaturesRequired: ['approvedSigner']
+  }
 };
 
 const validatorConfig = {
@@ -125,7 +168,11 @@ const publicKey = {
     },
     type: {
       type: 'string',
-      enum: ['RsaVerificationKey2018', 'Ed25519VerificationKey2018'],
+      enum: [
+        'RsaVerificationKey2018',
+        'Ed25519VerificationKey2018',
+        'Ed25519VerificationKey2020',
+      ],
     },
     controller: did(),
     // FIXME: make schema require this for RsaVerificationKey2018
@@ -133,21 +180,99 @@ const publicKey = {
     // FIXME: make schema require this for Ed25519VerificationKey2018
     publicKeyBase58: {
       type: 'string',
+    },
+    publicKeyMultibase: {
+      type: 'string',
+      // base58btc multibase encoding
+      pattern: '^z[1-9A-HJ-NP-Za-km-z]+$',
+    },
+  },
+  if: {
+    properties: {type: {const: 'Ed25519VerificationKey2020'}}
+  },
+  then: {
+    required: ['publicKeyMultibase'],
+    properties: {
+      publicKeyBase58: {not: {}},
+      publicKeyPem: {not: {}},
+    }
+  },
+  else: {
+    properties: {
+      publicKeyMultibase: {not: {}},
     }
   },
 };
 
-const didDocumentContext = {
+// the Ed25519Signature2020 context is needed to express
+// `Ed25519VerificationKey2020` keys
+const didV011DocumentContext = {
   type: 'array',
   items: [{
     const: constants.DID_CONTEXT_URL
   }, {
     const: constants.VERES_ONE_CONTEXT_V1_URL
+  }, {
+    const: ED25519_2020_CONTEXT_V1_URL
   }],
-  maxItems: 2,
+  maxItems: 3,
   minItems: 2,
 };
 
+// the DID Core 1.0 context does not define verification method types, the
+// context of each type that is used follows the Veres One context
+const didV1DocumentContext = {
+  type: 'array',
+  items: [{
+    const: DID_CONTEXT_V1_URL
+  }, {
+    const: constants.VERES_ONE_CONTEXT_V1_URL
+  }],
+  additionalItems: {
+    enum: [ED25519_2018_CONTEXT_V1_URL, ED25519_2020_CONTEXT_V1_URL]
+  },
+  maxItems: 4,
+  minItems: 2,
+  uniqueItems: true,
+};
+
+const didDocumentContext = {
+  anyOf: [didV011DocumentContext, didV1DocumentContext]
+};
+
+// documents signed with the Ed25519Signature2020 suite must include its
+// context
+const webLedgerContext = {
+  anyOf: [
+    schemas.jsonldContext(constants.WEB_LEDGER_CONTEXT_V1_URL),
+    schemas.jsonldContext(
+      [constants.WEB_LEDGER_CONTEXT_V1_URL, ED25519_2020_CONTEXT_V1_URL]),
+  ]
+};
+
+const ed25519Signature2020 = {
+  title: 'Ed25519Signature2020',
+  type: 'object',
+  required: ['created', 'proofValue', 'type', 'verificationMethod'],
+  properties: {
+    created: schemas.w3cDateTime(),
+    proofValue: {type: 'string'},
+    type: {const: 'Ed25519Signature2020'},
+    verificationMethod: {type: 'string'},
+  }
+};
+
+// a verification relationship has embedded verification methods or
+// references to methods in `verificationMethod`, a reference is checked by
+// the validator
+const verificationRelationship = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    anyOf: [publicKey, {type: 'string'}]
+  },
+};
+
 const didDocument = {
   title: 'Veres One DID Document Base',
   additionalProperties: false,
@@ -163,32 +288,47 @@ const didDocument = {
     invoker: {
       type: 'string',
     },
-    assertionMethod: {
-      type: 'array',
-      minItems: 1,
-      items: publicKey,
-    },
-    authentication: {
+    verificationMethod: {
       type: 'array',
       minItems: 1,
       items: publicKey,
     },
-    capabilityDelegation: {
-      type: 'array',
-      minItems: 1,
-      items: publicKey,
-    },
-    capabilityInvocation: {
+    assertionMethod: verificationRelationship,
+    authentication: verificationRelationship,
+    capabilityDelegation: verificationRelationship,
+    capabilityInvocation: verificationRelationship,
+    service: {
       type: 'array',
       minItems: 1,
-      items: publicKey,
+      items: serviceDescriptor(),
     },
-    service: {
+    alsoKnownAs: {
       type: 'array',
       minItems: 1,
-      items: serviceDescriptor(),
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        format: 'uri',
+      },
     },
   },
+  // each context only defines its own vocabulary, `alsoKnownAs` is only
+  // defined by the DID Core 1.0 context and `invocationTarget` and `invoker`
+  // only by the DID v0.11 context
+  if: {
+    properties: {'@context': didV1DocumentContext}
+  },
+  then: {
+    properties: {
+      invocationTarget: {not: {}},
+      invoker: {not: {}},
+    }
+  },
+  else: {
+    properties: {
+      alsoKnownAs: {not: {}},
+    }
+  },
 };
 
 const createDidDocument = {
@@ -214,12 +354,26 @@ const updateDidDocument = {
       type: 'object',
       required: [
         'id',
-        // it is possible to remove all methods during an update
+        // removing every method is only possible by deactivating the DID
+        'capabilityInvocation',
       ],
     }
   ]
 };
 
+// a deactivated DID document is a tombstone, only its ID remains
+const deactivatedDidDocument = {
+  title: 'Deactivated Veres One DID Document',
+  additionalProperties: false,
+  type: 'object',
+  required: ['@context', 'deactivated', 'id'],
+  properties: {
+    '@context': didDocumentContext,
+    deactivated: {const: true},
+    id: did(),
+  },
+};
+
 const patchContext = {
   type: 'array',
   maxItems: 2,
@@ -245,6 +399,39 @@ const patchContext = {
   ]
 };
 
+// a JSON pointer, see RFC 6901
+const jsonPointer = {
+  type: 'string',
+  pattern: '^(/.*)?$',
+};
+
+// the schema for a JSON patch operation with `op`, see RFC 6902, `from` is
+// required by `copy` and `move` and `value` is required by `add`, `replace`
+// and `test`
+function jsonPatchOperation({op, from = false, value = false}) {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['op', 'path'],
+    properties: {
+      op: {const: op},
+      path: jsonPointer,
+    }
+  };
+  if(from) {
+    schema.required.push('from');
+    schema.properties.from = jsonPointer;
+  }
+  if(value) {
+    schema.required.push('value');
+    schema.properties.value = {};
+  }
+  return {
+    if: {required: ['op'], properties: {op: {const: op}}},
+    then: schema
+  };
+}
+
 const didDocumentPatch = {
   title: 'DID Document Patch',
   type: 'object',
@@ -260,33 +447,31 @@ const didDocumentPatch = {
     target: {
       anyOf: [did(), didUuid()],
     },
-    // FIXME: also support `frame` property later
+    // the JSON-LD Patch `frame` property is not supported, the ledger applies
+    // `patch` to the stored record, so a patch to a framed view of it would
+    // not produce the record that is validated
     patch: {
       type: 'array',
       minItems: 1,
       items: {
         type: 'object',
-        additionalProperties: false,
-        required: [
-          'op',
-          'path'
-        ],
-        // FIXME: more strictly validate properties based on value of `op`
+        required: ['op'],
         properties: {
           op: {
             type: 'string',
             enum: ['add', 'copy', 'move', 'remove', 'replace', 'test']
           },
-          from: {
-            type: 'string',
-          },
-          path: {
-            type: 'string',
-          },
-          value: {
-            //type: ['number', 'string', 'boolean', 'object', 'array'],
-          }
         },
+        // the schema for `op` is selected so that errors are only reported
+        // for that schema
+        allOf: [
+          jsonPatchOperation({op: 'add', value: true}),
+          jsonPatchOperation({op: 'copy', from: true}),
+          jsonPatchOperation({op: 'move', from: true}),
+          jsonPatchOperation({op: 'remove'}),
+          jsonPatchOperation({op: 'replace', value: true}),
+          jsonPatchOperation({op: 'test', value: true}),
+        ]
       }
     },
     sequence: {
@@ -373,6 +558,45 @@ const electorPoolDocument = {
   },
 };
 
+// the validator context is needed to express the ValidatorParameterSet
+// properties that are not defined by the Veres One context
+const validatorParameterSetContext = {
+  anyOf: [
+    didDocumentContext,
+    schemas.jsonldContext([
+      constants.DID_CONTEXT_URL,
+      constants.VERES_ONE_CONTEXT_V1_URL,
+      constants.VERES_ONE_VALIDATOR_CONTEXT_V1_URL
+    ]),
+    schemas.jsonldContext([
+      DID_CONTEXT_V1_URL,
+      constants.VERES_ONE_CONTEXT_V1_URL,
+      constants.VERES_ONE_VALIDATOR_CONTEXT_V1_URL
+    ]),
+  ]
+};
+
+// the ValidatorParameterSet terms that are defined by the validator context,
+// a ValidatorParameterSet that uses one must include the context
+const VALIDATOR_CONTEXT_TERMS = [
+  'allowedServiceType',
+  'maximumOperationSize',
+  'maximumPatchOperationCount',
+  'maximumServiceCount',
+  'maximumVerificationMethodCount',
+];
+
+const allowedServiceBaseUrl = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    // the URL is parsed and checked by the validator when the
+    // ValidatorParameterSet is created
+    type: 'string',
+    format: 'uri',
+  }
+};
+
 const validatorParameterSet = {
   title: 'ValidatorParameterSet Document',
   type: 'object',
@@ -385,17 +609,53 @@ const validatorParameterSet = {
     'type'
   ],
   properties: {
-    '@context': didDocumentContext,
+    '@context': validatorParameterSetContext,
     id: didUuid(),
     controller: did(),
     type: {const: 'ValidatorParameterSet'},
-    allowedServiceBaseUrl: {
+    allowedServiceBaseUrl,
+    // the service types that may be used in DID documents, a type may have
+    // its own `allowedServiceBaseUrl` that replaces the top-level one
+    allowedServiceType: {
       type: 'array',
       minItems: 1,
       items: {
-        // FIXME: how should these be validated beyond string?
-        // pattern startswith https:// ?
-        type: 'string',
+        type: 'object',
+        additionalProperties: false,
+        required: ['serviceType'],
+        properties: {
+          serviceType: serviceType(),
+          allowedServiceBaseUrl,
+        }
+      }
+    },
+    // the maximum size, in bytes, of a serialized operation
+    maximumOperationSize: {
+      type: 'integer',
+      minimum: 1,
+    },
+    // the maximum number of verification methods for each proof purpose
+    maximumVerificationMethodCount: {
+      type: 'integer',
+      minimum: 1,
+    },
+    maximumServiceCount: {
+      type: 'integer',
+      minimum: 0,
+    },
+    // the maximum number of operations in an update patch
+    maximumPatchOperationCount: {
+      type: 'integer',
+      minimum: 1,
+    }
+  },
+  if: {
+    anyOf: VALIDATOR_CONTEXT_TERMS.map(term => ({required: [term]}))
+  },
+  then: {
+    properties: {
+      '@context': {
+        contains: {const: constants.VERES_ONE_VALIDATOR_CONTEXT_V1_URL}
       }
     }
   },
@@ -408,7 +668,6 @@ const baseCapability = {
     'capability',
     'capabilityAction',
     'created',
-    'jws',
     'proofPurpose',
     'type'
   ],
@@ -425,12 +684,29 @@ const baseCapability = {
       type: 'string',
       enum: ['capabilityInvocation'],
     },
+    proofValue: {type: 'string'},
     type: {
       type: 'string',
-      enum: ['RsaSignature2018', 'Ed25519Signature2018']
+      enum: [
+        'RsaSignature2018',
+        'Ed25519Signature2018',
+        'Ed25519Signature2020',
+      ]
     },
     verificationMethod: {type: 'string'},
-  }
+  },
+  // Ed25519Signature2020 proofs carry a `proofValue`, the others a `jws`
+  if: {
+    properties: {type: {const: 'Ed25519Signature2020'}}
+  },
+  then: {
+    required: ['proofValue'],
+    properties: {jws: {not: {}}}
+  },
+  else: {
+    required: ['jws'],
+    properties: {proofValue: {not: {}}}
+  },
 };
 
 const creatorOrVerificationMethod = {
@@ -455,21 +731,19 @@ const writeCapability = {
         capabilityAction: {
           enum: ['write'],
         },
-        // FIXME: this is for testnet v2 only
-        jws: {
-          enum: ['MOCKPROOF'],
-        },
       }
     }]
 };
 
+// the `capabilityAction` required of the controller proof is set by the
+// active protocol version, see `lib/protocolVersions.js`
 const createCapability = {
   allOf: [
     baseCapability,
     creatorOrVerificationMethod, {
       properties: {
         capabilityAction: {
-          enum: ['create'],
+          enum: ['create', 'write'],
         },
       }
     }]
@@ -481,7 +755,7 @@ const updateDidCapability = {
     creatorOrVerificationMethod, {
       properties: {
         capabilityAction: {
-          enum: ['update'],
+          enum: ['update', 'write'],
         },
       }
     }]
@@ -499,7 +773,7 @@ const updateWebLedgerRecord = {
   ],
   additionalProperties: false,
   properties: {
-    '@context': schemas.jsonldContext(constants.WEB_LEDGER_CONTEXT_V1_URL),
+    '@context': webLedgerContext,
     creator: {type: 'string'},
     type: {const: 'UpdateWebLedgerRecord',
     },
@@ -507,10 +781,12 @@ const updateWebLedgerRecord = {
     proof: {
       anyOf: [{
         type: 'array',
+        minItems: 2,
         items: [writeCapability, updateDidCapability],
         additionalItems: false,
       }, {
         type: 'array',
+        minItems: 2,
         items: [updateDidCapability, writeCapability],
         additionalItems: false,
       }],
@@ -518,6 +794,22 @@ const updateWebLedgerRecord = {
   },
 };
 
+const ledgerConfigurationProof = {
+  allOf: [{
+    anyOf: [schemas.linkedDataSignature2018(), ed25519Signature2020]
+  }, {
+    // FIXME: this is only for testnet_v2
+    type: 'object',
+    required: ['proofPurpose'],
+    properties: {
+      proofPurpose: {
+        type: 'string',
+        enum: ['assertionMethod']
+      }
+    }
+  }]
+};
+
 const ledgerConfiguration = {
   title: 'Veres One WebLedgerConfiguration',
   additionalProperties: false,
@@ -534,7 +826,7 @@ const ledgerConfiguration = {
   ],
   type: 'object',
   properties: {
-    '@context': schemas.jsonldContext(constants.WEB_LEDGER_CONTEXT_V1_URL),
+    '@context': webLedgerContext,
     consensusMethod: {const: 'Continuity2017'},
     creator: {type: 'string'},
     electorSelectionMethod: {
@@ -566,39 +858,23 @@ const ledgerConfiguration = {
       type: 'array',
       maxItems: 1,
       minItems: 1,
-      items: {
-        additionalProperties: false,
-        required: ['type'],
-        type: 'object',
-        properties: {
-          type: {const: 'VeresOneValidator2017'}
-        }
-      }
+      items: configurationValidator
     },
     operationValidator: {
       type: 'array',
       items: operationValidator
     },
     proof: {
-      allOf: [
-        schemas.linkedDataSignature2018(), {
-          // FIXME: this is only for testnet_v2
-          type: 'object',
-          required: ['proofPurpose'],
-          properties: {
-            proofPurpose: {
-              type: 'string',
-              enum: ['assertionMethod']
-            }
-          }
-        }
-      ]
+      anyOf: [ledgerConfigurationProof, {
+        type: 'array',
+        minItems: 1,
+        items: ledgerConfigurationProof
+      }]
     },
     sequence: {
       type: 'integer',
-      // FIXME: this is only for testnet_v2
-      enum: [0],
-      // minimum: 0,
+      minimum: 0,
+      maximum: Number.MAX_SAFE_INTEGER
     },
     type: {
       type: 'string',
@@ -607,6 +883,7 @@ const ledgerConfiguration = {
   },
 };
 
+// the schema for each `type` is registered with `registerRecordType`
 const uuidDidRecord = {
   title: 'UUID DID',
   type: 'object',
@@ -615,19 +892,9 @@ const uuidDidRecord = {
   ],
   properties: {
     type: {
-      enum: [
-        'ElectorPool',
-        'ValidatorParameterSet',
-      ]
+      type: 'string'
     }
-  },
-  allOf: [{
-    if: {properties: {type: {const: 'ElectorPool'}}},
-    then: electorPoolDocument
-  }, {
-    if: {properties: {type: {const: 'ValidatorParameterSet'}}},
-    then: validatorParameterSet
-  }]
+  }
 };
 
 const createWebLedgerRecord = {
@@ -642,16 +909,18 @@ const createWebLedgerRecord = {
   ],
   additionalProperties: false,
   properties: {
-    '@context': schemas.jsonldContext(constants.WEB_LEDGER_CONTEXT_V1_URL),
+    '@context': webLedgerContext,
     creator: {type: 'string'},
     type: {const: 'CreateWebLedgerRecord'},
     proof: {
       anyOf: [{
         type: 'array',
+        minItems: 2,
         items: [writeCapability, createCapability],
         additionalItems: false,
       }, {
         type: 'array',
+        minItems: 2,
         items: [createCapability, writeCapability],
         additionalItems: false,
       }],
@@ -681,12 +950,7 @@ const createWebLedgerRecord = {
   }
 };
 
-module.exports.operationValidator = () => operationValidator;
-module.exports.updateDidDocument = () => updateDidDocument;
-module.exports.didDocumentPatch = () => didDocumentPatch;
-module.exports.electorPoolDocument = () => electorPoolDocument;
-module.exports.ledgerConfiguration = () => ledgerConfiguration;
-module.exports.operation = () => ({
+const operation = {
   title: 'Veres One WebLedgerOperation',
   type: 'object',
   properties: {
@@ -712,6 +976,65 @@ module.exports.operation = () => ({
     },
     then: updateWebLedgerRecord
   }]
-});
-module.exports.validatorConfig = () => validatorConfig;
-module.exports.validatorParameterSet = () => validatorParameterSet;
+};
+
+// the schemas above are built with the DID schemas for the network of the
+// configured environment, the schemas for another network have that
+// network's DID schemas in their place
+const SCHEMA_NETWORK = didParser.getNetwork(cfg);
+// the schemas for other networks by network by schema
+const NETWORK_SCHEMAS = new Map();
+
+function _forNetwork({schema, network = SCHEMA_NETWORK}) {
+  if(network === SCHEMA_NETWORK) {
+    return schema;
+  }
+  if(!NETWORK_SCHEMAS.has(network)) {
+    NETWORK_SCHEMAS.set(network, new Map());
+  }
+  const schemas = NETWORK_SCHEMAS.get(network);
+  if(!schemas.has(schema)) {
+    const replacements = new Map([did, didUuid, nymKeyId].map(
+      factory => [factory({network: SCHEMA_NETWORK}), factory({network})]));
+    schemas.set(schema, _replaceSchemas({replacements, value: schema}));
+  }
+  return schemas.get(schema);
+}
+
+function _replaceSchemas({replacements, value}) {
+  if(replacements.has(value)) {
+    return replacements.get(value);
+  }
+  if(Array.isArray(value)) {
+    return value.map(value => _replaceSchemas({replacements, value}));
+  }
+  if(value && typeof value === 'object') {
+    const replaced = {};
+    for(const [key, child] of Object.entries(value)) {
+      replaced[key] = _replaceSchemas({replacements, value: child});
+    }
+    return replaced;
+  }
+  return value;
+}
+
+// each schema takes an optional `network`, `live` or `test`, for the DIDs in
+// it
+module.exports.operationValidator = ({network} = {}) =>
+  _forNetwork({schema: operationValidator, network});
+module.exports.updateDidDocument = ({network} = {}) =>
+  _forNetwork({schema: updateDidDocument, network});
+module.exports.deactivatedDidDocument = ({network} = {}) =>
+  _forNetwork({schema: deactivatedDidDocument, network});
+module.exports.didDocumentPatch = ({network} = {}) =>
+  _forNetwork({schema: didDocumentPatch, network});
+module.exports.electorPoolDocument = ({network} = {}) =>
+  _forNetwork({schema: electorPoolDocument, network});
+module.exports.ledgerConfiguration = ({network} = {}) =>
+  _forNetwork({schema: ledgerConfiguration, network});
+module.exports.operation = ({network} = {}) =>
+  _forNetwork({schema: operation, network});
+module.exports.validatorConfig = ({network} = {}) =>
+  _forNetwork({schema: validatorConfig, network});
+module.exports.validatorParameterSet = ({network} = {}) =>
+  _forNetwork({schema: validatorParameterSet, network});
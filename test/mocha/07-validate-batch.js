@@ -0,0 +1,228 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {util: {clone}} = bedrock;
+const {documentLoader} = require('bedrock-jsonld-document-loader');
+const helpers = require('./helpers');
+const {Ed25519Signature2018} =
+  require('@digitalbazaar/ed25519-signature-2018');
+const jsigs = require('jsonld-signatures');
+const mockData = require('./mock.data');
+const voValidator = require('veres-one-validator');
+const {CapabilityInvocation} = require('@digitalbazaar/zcapld');
+const v1 = new (require('did-veres-one')).VeresOne();
+
+const validatorParameterSet =
+  'did:v1:uuid:b49fc147-5966-4407-a428-b597a77461ba';
+const validatorConfig = clone(mockData.ledgerConfigurations.alpha
+  .operationValidator[0]);
+validatorConfig.validatorParameterSet = validatorParameterSet;
+
+describe('validateBatch API', () => {
+  before(() => {
+    const validatorParameterSetDoc = clone(
+      mockData.validatorParameterSet.alpha);
+    validatorParameterSetDoc.id = validatorParameterSet;
+    mockData.existingDids[validatorParameterSet] = validatorParameterSetDoc;
+  });
+  it('throws on missing operations parameter', async () => {
+    let result;
+    let err;
+    try {
+      result = await voValidator.validateBatch(
+        {ledgerNode: mockData.ledgerNode});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.should.be.instanceOf(TypeError);
+    err.message.should.contain('operations');
+  });
+  it('validates a batch of CreateWebLedgerRecord operations', async () => {
+    const operations = [
+      (await _createOperation()).operation,
+      (await _createOperation()).operation
+    ];
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations,
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.true;
+    result.results.should.have.length(2);
+    result.results.every(({valid}) => valid).should.be.true;
+  });
+  it('looks up the ValidatorParameterSet once per batch', async () => {
+    const operations = [
+      (await _createOperation({service: true})).operation,
+      (await _createOperation({service: true})).operation
+    ];
+    let lookups = 0;
+    const ledgerNode = Object.create(mockData.ledgerNode);
+    ledgerNode.records = {
+      async get(options) {
+        if(options.recordId === validatorParameterSet) {
+          lookups++;
+        }
+        return mockData.ledgerNode.records.get(options);
+      }
+    };
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode,
+      operations,
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.true;
+    lookups.should.equal(1);
+  });
+  it('rejects a second create of the same DID in a batch', async () => {
+    const {operation} = await _createOperation();
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations: [operation, clone(operation)],
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    result.results[0].valid.should.be.true;
+    result.results[1].valid.should.be.false;
+    const {error} = result.results[1];
+    error.name.should.equal('ConflictError');
+    error.details.recordId.should.equal(operation.record.id);
+    error.details.conflictingOperationIndex.should.equal(0);
+    error.details.operationIndex.should.equal(1);
+  });
+  it('rejects two updates with the same sequence in a batch', async () => {
+    const {didDocument} = await _createOperation();
+    mockData.existingDids[didDocument.id] = clone(didDocument.doc);
+    const operations = [
+      await helpers.createUpdateOperation({didDocument}),
+      await helpers.createUpdateOperation({didDocument})
+    ];
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 10,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations,
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    result.results[0].valid.should.be.true;
+    result.results[1].valid.should.be.false;
+    const {error} = result.results[1];
+    error.name.should.equal('ConflictError');
+    error.details.recordId.should.equal(didDocument.id);
+    error.details.sequence.should.equal(0);
+    error.details.conflictingOperationIndex.should.equal(0);
+  });
+  it('does not let an invalid create block a valid create', async () => {
+    const {operation} = await _createOperation();
+    // the controller proof of the forged create has a bad signature
+    const forged = clone(operation);
+    const [controllerProof] = forged.proof;
+    const [header, signature] = controllerProof.jws.split('..');
+    controllerProof.jws = `${header}..${signature[0] === 'A' ? 'B' : 'A'}` +
+      signature.substr(1);
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations: [forged, operation],
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    result.results[0].valid.should.be.false;
+    result.results[0].error.name.should.not.equal('ConflictError');
+    result.results[1].valid.should.be.true;
+  });
+  it('does not let an unsigned update block a valid update', async () => {
+    const {didDocument} = await _createOperation();
+    mockData.existingDids[didDocument.id] = clone(didDocument.doc);
+    const operation = await helpers.createUpdateOperation({didDocument});
+    const unsigned = clone(operation);
+    delete unsigned.proof;
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 10,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations: [unsigned, operation],
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    result.results[0].valid.should.be.false;
+    result.results[0].error.name.should.not.equal('ConflictError');
+    result.results[1].valid.should.be.true;
+  });
+  it('rejects an operation that is not an object in a batch', async () => {
+    const {operation} = await _createOperation();
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations: [null, operation],
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    result.results[0].valid.should.be.false;
+    result.results[0].error.name.should.equal('ValidationError');
+    result.results[0].error.details.operationIndex.should.equal(0);
+    result.results[1].valid.should.be.true;
+  });
+  it('does not find conflicts between operations without IDs', async () => {
+    const {operation} = await _createOperation();
+    delete operation.record.id;
+    const result = await voValidator.validateBatch({
+      basisBlockHeight: 0,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode: mockData.ledgerNode,
+      operations: [operation, clone(operation)],
+      validatorConfig,
+    });
+    should.exist(result);
+    result.valid.should.be.false;
+    for(const {valid, error} of result.results) {
+      valid.should.be.false;
+      error.name.should.equal('ValidationError');
+    }
+  });
+});
+
+async function _createOperation({service = false} = {}) {
+  const didDocument = await v1.generate();
+  const did = didDocument.id;
+  if(service) {
+    didDocument.addService({
+      fragment: 'foo',
+      type: 'urn:foo',
+      endpoint: `https://example.com/api/${encodeURIComponent(did)}`,
+    });
+  }
+  const mockOperation = clone(mockData.operations.create);
+  mockOperation.record = didDocument.doc;
+  const s = await jsigs.sign(mockOperation, {
+    compactProof: false,
+    documentLoader,
+    suite: new Ed25519Signature2018(
+      {key: helpers.getCapabilityInvocationKey({didDocument})}),
+    purpose: new CapabilityInvocation(
+      {capability: did, capabilityAction: 'create'})
+  });
+  const operation = await helpers.attachAcceleratorProof({operation: s});
+  return {didDocument, operation};
+}
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config, util: {clone}} = bedrock;
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const voValidator = require('veres-one-validator');
+const v1 = new (require('did-veres-one')).VeresOne();
+
+describe('DID document cache', () => {
+  let did;
+  let ledgerNode;
+  let lookups;
+  let operation;
+  beforeEach(async () => {
+    const didDocument = await v1.generate();
+    ({id: did} = didDocument);
+    mockData.existingDids[did] = clone(didDocument.doc);
+    operation = await helpers.createUpdateOperation({didDocument});
+    // counts the lookups of the DID at a block height
+    lookups = 0;
+    ledgerNode = Object.create(mockData.ledgerNode);
+    ledgerNode.id = 'urn:uuid:f1a0d6d8-5b0c-4b6c-9fa1-0c1bb5a0c0a3';
+    ledgerNode.records = {
+      async get(options) {
+        if(options.recordId === did && options.maxBlockHeight !== undefined) {
+          lookups++;
+        }
+        return mockData.ledgerNode.records.get(options);
+      }
+    };
+  });
+  it('resolves a DID once per block height', async () => {
+    const before = voValidator.getDidDocumentCacheStats();
+    for(let i = 0; i < 2; ++i) {
+      const result = await _validate({basisBlockHeight: 10});
+      result.valid.should.be.true;
+    }
+    lookups.should.equal(1);
+    const after = voValidator.getDidDocumentCacheStats();
+    (after.hits - before.hits).should.be.above(0);
+    (after.misses - before.misses).should.be.above(0);
+    after.size.should.be.above(0);
+
+    // another block height is another lookup
+    const result = await _validate({basisBlockHeight: 11});
+    result.valid.should.be.true;
+    lookups.should.equal(2);
+  });
+  it('does not cache when the cache size is 0', async () => {
+    const {size} = config['veres-one-validator'].didDocumentCache;
+    config['veres-one-validator'].didDocumentCache.size = 0;
+    try {
+      for(let i = 0; i < 2; ++i) {
+        const result = await _validate({basisBlockHeight: 10});
+        result.valid.should.be.true;
+      }
+    } finally {
+      config['veres-one-validator'].didDocumentCache.size = size;
+    }
+    lookups.should.be.at.least(2);
+  });
+
+  function _validate({basisBlockHeight}) {
+    return voValidator.validate({
+      basisBlockHeight,
+      ledgerConfig: mockData.ledgerConfigurations.alpha,
+      ledgerNode,
+      validatorInput: clone(operation),
+      validatorConfig: mockData.ledgerConfigurations.alpha
+        .operationValidator[0],
+    });
+  }
+});
@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const didParser = require('veres-one-validator/lib/didParser');
+
+const NYM = 'did:v1:nym:z6MknY7qbTmVNPUC2xRyfSzcf3LxQGBx4t8uBVhGkKq7rT6p';
+const UUID = 'did:v1:uuid:b49fc147-5966-4407-a428-b597a77461ba';
+
+describe('DID parser', () => {
+  it('parses a cryptonym DID', async () => {
+    const parsed = didParser.parse({url: NYM});
+    parsed.should.eql({
+      did: NYM,
+      network: 'live',
+      kind: 'nym',
+      id: 'z6MknY7qbTmVNPUC2xRyfSzcf3LxQGBx4t8uBVhGkKq7rT6p',
+      params: {},
+      path: null,
+      query: null,
+      fragment: null,
+    });
+  });
+  it('parses a test network uuid DID', async () => {
+    const url = 'did:v1:test:uuid:b49fc147-5966-4407-a428-b597a77461ba';
+    const parsed = didParser.parse({url, network: 'test'});
+    parsed.did.should.equal(url);
+    parsed.network.should.equal('test');
+    parsed.kind.should.equal('uuid');
+    parsed.id.should.equal('b49fc147-5966-4407-a428-b597a77461ba');
+  });
+  it('parses the components of a DID URL', async () => {
+    const parsed = didParser.parse(
+      {url: `${UUID};service=foo/some/path?a=b#bar`});
+    parsed.did.should.equal(UUID);
+    parsed.params.should.eql({service: 'foo'});
+    parsed.path.should.equal('/some/path');
+    parsed.query.should.equal('a=b');
+    parsed.fragment.should.equal('bar');
+  });
+  it('rejects malformed DID URLs', async () => {
+    const urls = [
+      'did:v2:nym:z6Mkn',
+      'did:v1:other:z6Mkn',
+      'did:v1:uuid:not-a-uuid',
+      'did:v1:nym:',
+      `${NYM};service`,
+      `${NYM};service=foo;service=bar`,
+      'https://example.com',
+    ];
+    for(const url of urls) {
+      let err;
+      try {
+        didParser.parse({url});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err, url);
+      err.name.should.equal('SyntaxError');
+      err.details.url.should.equal(url);
+    }
+  });
+  it('rejects a DID for another network', async () => {
+    let err;
+    try {
+      didParser.parse({url: NYM, network: 'test'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('SyntaxError');
+    err.details.reason.should.contain('"test" network');
+  });
+  it('creates schema patterns that agree with the parser', async () => {
+    const pattern = new RegExp(
+      didParser.createPattern({kind: 'nym', network: 'live'}));
+    pattern.test(NYM).should.be.true;
+    pattern.test(UUID).should.be.false;
+    pattern.test(`${NYM}#z6Mkn`).should.be.false;
+    new RegExp(didParser.createPattern({kind: 'uuid', network: 'test'}))
+      .test(UUID).should.be.false;
+  });
+});
@@ -4,15 +4,21 @@
 'use strict';
 
 const {documentLoader} = require('bedrock-jsonld-document-loader');
-const {util: {clone}} = require('bedrock');
+const {config, util: {clone}} = require('bedrock');
 const jsigs = require('jsonld-signatures');
 const mockData = require('./mock.data');
 const voValidator = require('veres-one-validator');
 const v1 = new (require('did-veres-one')).VeresOne();
 const {Ed25519Signature2018} =
   require('@digitalbazaar/ed25519-signature-2018');
+const {Ed25519Signature2020} =
+  require('@digitalbazaar/ed25519-signature-2020');
 const {Ed25519VerificationKey2018} =
   require('@digitalbazaar/ed25519-verification-key-2018');
+const {Ed25519VerificationKey2020} =
+  require('@digitalbazaar/ed25519-verification-key-2020');
+const {constants: {CONTEXT_URL: ED25519_2020_CONTEXT_V1_URL}} =
+  require('ed25519-signature-2020-context');
 const {purposes: {AssertionProofPurpose}} = jsigs;
 
 describe('validate API WebLedgerConfiguration', () => {
@@ -42,6 +48,30 @@ describe('validate API WebLedgerConfiguration', () => {
     result.valid.should.be.a('boolean');
     result.valid.should.be.true;
   });
+  it('validates a ledgerConfiguration signed w/Ed25519Signature2020',
+    async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration['@context'] = [
+        ledgerConfiguration['@context'], ED25519_2020_CONTEXT_V1_URL];
+
+      // the public key material is derived from the nym DID
+      const signingKey = await Ed25519VerificationKey2020.generate();
+      const fingerprint = signingKey.fingerprint();
+      signingKey.id = `did:v1:nym:${fingerprint}#${fingerprint}`;
+      const s = await jsigs.sign(ledgerConfiguration, {
+        documentLoader,
+        suite: new Ed25519Signature2020({key: signingKey}),
+        purpose: new AssertionProofPurpose()
+      });
+
+      const result = await voValidator.validate({
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
   it('rejects a configuration w/missing electorSelectionMethod', async () => {
     const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
 
@@ -205,4 +235,389 @@ describe('validate API WebLedgerConfiguration', () => {
     result.error.cause.message.should.equal(
       'Key ID is not a multiformats encoded ed25519 public key.');
   });
+  describe('amendments', () => {
+    let genesisKey;
+    let genesisConfiguration;
+    beforeEach(async () => {
+      genesisKey = await _generateSigningKey();
+      genesisConfiguration = await _signConfiguration({
+        ledgerConfiguration: clone(mockData.ledgerConfigurations.alpha),
+        signingKey: genesisKey
+      });
+    });
+    it('validates the genesis configuration as the ledger config', async () => {
+      // the genesis configuration is validated without a basis block
+      const result = await voValidator.validate({
+        ledgerConfig: clone(genesisConfiguration),
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: genesisConfiguration,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
+    it('validates an amendment signed by the current signer', async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      ledgerConfiguration.electorSelectionMethod.maximumElectorCount = 10;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: genesisKey});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: genesisConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
+    it('rejects an amendment under protocol version 1', async () => {
+      const cfg = config['veres-one-validator'];
+      const {protocolVersions} = cfg;
+      cfg.protocolVersions = [
+        {version: 1, activationHeight: 0},
+        {version: 2, activationHeight: 20},
+      ];
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: genesisKey});
+
+      let result;
+      try {
+        result = await voValidator.validate({
+          basisBlockHeight: 10,
+          ledgerConfig: genesisConfiguration,
+          ledgerNode: mockData.ledgerNode,
+          validatorInput: s,
+        });
+      } finally {
+        cfg.protocolVersions = protocolVersions;
+      }
+      should.exist(result.valid);
+      result.valid.should.be.false;
+      result.protocolVersion.should.equal(1);
+      result.error.name.should.equal('NotSupportedError');
+    });
+    it('validates an amendment signed by an approved signer', async () => {
+      const approvedKey = await _generateSigningKey();
+      const ledgerConfig = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfig.ledgerConfigurationValidator[0].approvedSigner = [
+        approvedKey.id
+      ];
+      const currentConfiguration = await _signConfiguration(
+        {ledgerConfiguration: ledgerConfig, signingKey: genesisKey});
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: approvedKey});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
+    it('rejects an amendment signed by another signer', async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: await _generateSigningKey()});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: genesisConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      result.error.message.should.contain('approved signer');
+    });
+    it('rejects an amendment that skips a sequence', async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 2;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: genesisKey});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: genesisConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      result.error.details.sequence.should.equal(2);
+      result.error.details.expectedSequence.should.equal(1);
+    });
+    it('rejects a replayed configuration', async () => {
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: genesisConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: clone(genesisConfiguration),
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      result.error.details.sequence.should.equal(0);
+      result.error.details.expectedSequence.should.equal(1);
+    });
+    it('rejects an amendment that changes the ledger', async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      ledgerConfiguration.ledger =
+        'did:v1:uuid:d1e7a1a4-4ef4-4c2b-8a3c-0b4c8e7d9f10';
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: genesisKey});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: genesisConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      should.exist(result.error.details.expectedLedger);
+    });
+    it('accepts a validator config with approved signers', async () => {
+      const approvedKey = await _generateSigningKey();
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      ledgerConfiguration.sequence = 1;
+      Object.assign(ledgerConfiguration.ledgerConfigurationValidator[0], {
+        approvedSigner: [approvedKey.id],
+        minimumSignaturesRequired: 1
+      });
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: genesisKey});
+      const [validatorConfig] = s.ledgerConfigurationValidator;
+
+      const result = await voValidator.validateConfiguration(
+        {validatorConfig});
+      should.exist(result.valid);
+      result.valid.should.be.true;
+      const mustValidate = await voValidator.mustValidate(
+        {validatorConfig, validatorInput: s});
+      mustValidate.should.be.true;
+    });
+    it('rejects a threshold without approved signers', async () => {
+      const result = await voValidator.validateConfiguration({
+        validatorConfig: {
+          type: 'VeresOneValidator2017',
+          minimumSignaturesRequired: 1
+        }
+      });
+      should.exist(result.valid);
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+    });
+  });
+  describe('approved signers', () => {
+    let signingKeys;
+    let currentConfiguration;
+    beforeEach(async () => {
+      signingKeys = await Promise.all(
+        [0, 1, 2].map(() => _generateSigningKey()));
+      const ledgerConfig = clone(mockData.ledgerConfigurations.alpha);
+      Object.assign(ledgerConfig.ledgerConfigurationValidator[0], {
+        approvedSigner: signingKeys.map(({id}) => id),
+        minimumSignaturesRequired: 2
+      });
+      currentConfiguration = await _signConfiguration(
+        {ledgerConfiguration: ledgerConfig, signingKey: signingKeys[0]});
+    });
+    it('validates an amendment signed by M of N signers', async () => {
+      let s = clone(currentConfiguration);
+      delete s.proof;
+      s.sequence = 1;
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[0]});
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[2]});
+      s.proof.should.be.an('array');
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
+    it('validates an M of N amendment through the validator API', async () => {
+      let s = clone(currentConfiguration);
+      delete s.proof;
+      s.sequence = 1;
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[1]});
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[2]});
+
+      // the ledger node runs the validators of the current configuration
+      const [validatorConfig] =
+        currentConfiguration.ledgerConfigurationValidator;
+      const mustValidate = await voValidator.mustValidate(
+        {validatorConfig, validatorInput: s});
+      mustValidate.should.be.true;
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorConfig,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+    });
+    it('rejects an M of N amendment through the validator API', async () => {
+      const ledgerConfiguration = clone(currentConfiguration);
+      delete ledgerConfiguration.proof;
+      ledgerConfiguration.sequence = 1;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: signingKeys[2]});
+
+      const [validatorConfig] =
+        currentConfiguration.ledgerConfigurationValidator;
+      const mustValidate = await voValidator.mustValidate(
+        {validatorConfig, validatorInput: s});
+      mustValidate.should.be.true;
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorConfig,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.message.should.contain('approved signers');
+    });
+    it('rejects an amendment signed by fewer than M signers', async () => {
+      const ledgerConfiguration = clone(currentConfiguration);
+      delete ledgerConfiguration.proof;
+      ledgerConfiguration.sequence = 1;
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: signingKeys[1]});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      result.error.details.minimumSignaturesRequired.should.equal(2);
+      result.error.details.signers.should.have.length(1);
+    });
+    it('counts a signer that signs twice once', async () => {
+      let s = clone(currentConfiguration);
+      delete s.proof;
+      s.sequence = 1;
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[1]});
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[1]});
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.details.signers.should.have.length(1);
+    });
+    it('rejects an amendment with an invalid proof', async () => {
+      let s = clone(currentConfiguration);
+      delete s.proof;
+      s.sequence = 1;
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[0]});
+      s = await _signConfiguration(
+        {ledgerConfiguration: s, signingKey: signingKeys[1]});
+      // proof made by another key
+      s.proof[1].verificationMethod = signingKeys[2].id;
+
+      const result = await voValidator.validate({
+        basisBlockHeight: 10,
+        ledgerConfig: currentConfiguration,
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.message.should.equal('Proof verification failed.');
+    });
+    it('rejects a threshold greater than the approved signers', async () => {
+      const ledgerConfiguration = clone(mockData.ledgerConfigurations.alpha);
+      Object.assign(ledgerConfiguration.ledgerConfigurationValidator[0], {
+        approvedSigner: [signingKeys[0].id],
+        minimumSignaturesRequired: 2
+      });
+      const s = await _signConfiguration(
+        {ledgerConfiguration, signingKey: signingKeys[0]});
+
+      const result = await voValidator.validate({
+        ledgerNode: mockData.ledgerNode,
+        validatorInput: s,
+      });
+      should.exist(result.valid);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      should.exist(result.error);
+      result.error.name.should.equal('ValidationError');
+      result.error.message.should.contain('minimumSignaturesRequired');
+    });
+  });
 });
+
+// the public key material is derived from the nym DID
+async function _generateSigningKey() {
+  const maintainerDoc = await v1.generate();
+  const method = maintainerDoc.getVerificationMethod(
+    {proofPurpose: 'capabilityInvocation'});
+  return new Ed25519VerificationKey2018(maintainerDoc.keys[method.id]);
+}
+
+async function _signConfiguration({ledgerConfiguration, signingKey}) {
+  return jsigs.sign(ledgerConfiguration, {
+    compactProof: false,
+    documentLoader,
+    suite: new Ed25519Signature2018({key: signingKey}),
+    purpose: new AssertionProofPurpose()
+  });
+}
@@ -43,10 +43,6 @@ describe('validate API ElectorPool', () => {
           {didDocument: electorPoolDoc, operationType: 'create'});
         const key = _getMaintainerKeys();
 
-        // FIXME: add an AuthorizeRequest proof that will pass json-schema
-        // validation for testnet v2 *not* a valid signature
-        operation.proof = bedrock.util.clone(mockData.proof);
-
         operation = await didv1.attachInvocationProof({
           operation,
           // capability: maintainerDid,
@@ -55,13 +51,7 @@ describe('validate API ElectorPool', () => {
           key,
         });
 
-        // FIXME: attach proof instead of mock proof above
-        // operation = await didv1.attachInvocationProof({
-        //   operation,
-        //   capability: maintainerDid,
-        //   capabilityAction: 'AuthorizeRequest',
-        //   key,
-        // });
+        operation = await helpers.attachAcceleratorProof({operation});
         const ledgerConfig = bedrock.util.clone(
           mockData.ledgerConfigurations.alpha);
         ledgerConfig.electorSelectionMethod = {
@@ -100,10 +90,6 @@ describe('validate API ElectorPool', () => {
           {didDocument: electorPoolDoc, operationType: 'create'});
         const key = _getMaintainerKeys();
 
-        // FIXME: add an AuthorizeRequest proof that will pass json-schema
-        // validation for testnet v2 *not* a valid signature
-        operation.proof = bedrock.util.clone(mockData.proof);
-
         operation = await didv1.attachInvocationProof({
           operation,
           capability: electorPoolDoc.id,
@@ -111,13 +97,7 @@ describe('validate API ElectorPool', () => {
           key,
         });
 
-        // FIXME: attach proof instead of mock proof above
-        // operation = await didv1.attachInvocationProof({
-        //   operation,
-        //   capability: maintainerDid,
-        //   capabilityAction: 'AuthorizeRequest',
-        //   key,
-        // });
+        operation = await helpers.attachAcceleratorProof({operation});
         const ledgerConfig = bedrock.util.clone(
           mockData.ledgerConfigurations.alpha);
         ledgerConfig.electorSelectionMethod = {
@@ -324,10 +304,6 @@ describe('validate API ElectorPool', () => {
           {didDocument: electorPoolDoc, operationType: 'create'});
         const key = _getMaintainerKeys();
 
-        // FIXME: add an AuthorizeRequest proof that will pass json-schema
-        // validation for testnet v2 *not* a valid signature
-        operation.proof = bedrock.util.clone(mockData.proof);
-
         // replacing electorDid with maintainerDid
         operation = await didv1.attachInvocationProof({
           operation,
@@ -337,13 +313,7 @@ describe('validate API ElectorPool', () => {
           key,
         });
 
-        // FIXME: attach proof instead of mock proof above
-        // operation = await didv1.attachInvocationProof({
-        //   operation,
-        //   capability: maintainerDid,
-        //   capabilityAction: 'AuthorizeRequest',
-        //   key,
-        // });
+        operation = await helpers.attachAcceleratorProof({operation});
         const ledgerConfig = bedrock.util.clone(
           mockData.ledgerConfigurations.alpha);
         ledgerConfig.electorSelectionMethod = {
@@ -431,10 +401,6 @@ describe('validate API ElectorPool', () => {
 
         // FIXME: what are proper proofs for an update operation?
 
-        // FIXME: add an AuthorizeRequest proof that will pass json-schema
-        // validation for testnet v2 *not* a valid signature
-        operation.proof = bedrock.util.clone(mockData.proof);
-
         operation = await didv1.attachInvocationProof({
           operation,
           capability: electorPoolDoc.id,
@@ -510,10 +476,6 @@ describe('validate API ElectorPool', () => {
 
         // FIXME: what are proper proofs for an update operation?
 
-        // FIXME: add an AuthorizeRequest proof that will pass json-schema
-        // validation for testnet v2 *not* a valid signature
-        operation.proof = bedrock.util.clone(mockData.proof);
-
         operation = await didv1.attachInvocationProof({
           operation,
           capability: electorPoolDoc.id,
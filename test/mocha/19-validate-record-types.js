@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config: {constants}, util: {clone, uuid, BedrockError}} = bedrock;
+const helpers = require('./helpers');
+const {httpsAgent} = require('bedrock-https-agent');
+const didv1 = new (require('did-veres-one')).VeresOne({httpsAgent});
+const voValidator = require('veres-one-validator');
+
+const ldDocuments = new Map();
+const ledgerNode = helpers.createMockLedgerNode({ldDocuments});
+const mockData = require('./mock.data');
+
+// the DID that is authorized to create fee schedules
+let maintainerDidDocumentFull;
+const MAXIMUM_FEE = 100;
+
+describe('validate API registered record types', () => {
+  before(() => {
+    voValidator.registerRecordType({
+      type: 'FeeSchedule',
+      schema: {
+        title: 'FeeSchedule Document',
+        type: 'object',
+        additionalProperties: false,
+        required: ['@context', 'id', 'controller', 'type', 'fee'],
+        properties: {
+          '@context': {type: 'array'},
+          id: {type: 'string'},
+          controller: {type: 'string'},
+          type: {const: 'FeeSchedule'},
+          fee: {type: 'integer', minimum: 0}
+        }
+      },
+      async authorize({record}) {
+        if(record.controller === maintainerDidDocumentFull.doc.id) {
+          return {valid: true};
+        }
+        const error = new BedrockError(
+          'Unauthorized fee schedule controller.', 'NotAllowedError',
+          {httpStatusCode: 400, public: true});
+        return {error, valid: false};
+      },
+      async validateCreate({record}) {
+        if(record.fee <= MAXIMUM_FEE) {
+          return {valid: true};
+        }
+        const error = new BedrockError(
+          'The fee is too high.', 'ValidationError',
+          {httpStatusCode: 400, public: true});
+        return {error, valid: false};
+      }
+    });
+  });
+  beforeEach(async () => {
+    maintainerDidDocumentFull = await didv1.generate();
+    const {doc: maintainerDidDocument} = maintainerDidDocumentFull;
+    ldDocuments.set(maintainerDidDocument.id, maintainerDidDocument);
+  });
+  it('throws on a record type without a schema', async () => {
+    let err;
+    try {
+      voValidator.registerRecordType({type: 'NoSchema'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceOf(TypeError);
+    err.message.should.contain('schema');
+  });
+  it('throws on a record type with an unknown update rule', async () => {
+    let err;
+    try {
+      voValidator.registerRecordType({
+        type: 'UnknownRule',
+        schema: {type: 'object'},
+        updateRules: [{path: '/fee', rule: 'monotonic'}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceOf(TypeError);
+    err.message.should.contain('updateRules');
+  });
+  it('validates a create operation for a registered type', async () => {
+    const result = await _validate({record: _generateFeeSchedule()});
+    should.exist(result);
+    result.valid.should.be.true;
+  });
+  it('rejects a record that does not match the type schema', async () => {
+    const record = _generateFeeSchedule();
+    delete record.fee;
+    const result = await _validate({record});
+    should.exist(result);
+    result.valid.should.be.false;
+    result.error.name.should.equal('ValidationError');
+    result.error.message.should.contain('FeeSchedule Document');
+  });
+  it('rejects a record that is not authorized', async () => {
+    const record = _generateFeeSchedule();
+    const otherDidDocumentFull = await didv1.generate();
+    const {doc: otherDidDocument} = otherDidDocumentFull;
+    ldDocuments.set(otherDidDocument.id, otherDidDocument);
+    record.controller = otherDidDocument.id;
+    const result = await _validate(
+      {record, didDocumentFull: otherDidDocumentFull});
+    should.exist(result);
+    result.valid.should.be.false;
+    result.error.name.should.equal('NotAllowedError');
+  });
+  it('rejects a record that fails the create validator', async () => {
+    const record = _generateFeeSchedule();
+    record.fee = MAXIMUM_FEE + 1;
+    const result = await _validate({record});
+    should.exist(result);
+    result.valid.should.be.false;
+    result.error.message.should.equal('The fee is too high.');
+  });
+  it('rejects a record with an unregistered type', async () => {
+    const record = _generateFeeSchedule();
+    record.type = 'UnknownSchedule';
+    const result = await _validate({record});
+    should.exist(result);
+    result.valid.should.be.false;
+    result.error.name.should.equal('ValidationError');
+    result.error.message.should.equal('Unknown record type.');
+  });
+});
+
+function _generateFeeSchedule() {
+  return {
+    '@context': [
+      ...clone(mockData.electorPoolDocument.alpha['@context']), {
+        FeeSchedule: 'https://example.com/vocab#FeeSchedule',
+        UnknownSchedule: 'https://example.com/vocab#UnknownSchedule',
+        fee: 'https://example.com/vocab#fee'
+      }
+    ],
+    id: `did:v1:uuid:${uuid()}`,
+    type: 'FeeSchedule',
+    controller: maintainerDidDocumentFull.doc.id,
+    fee: 10
+  };
+}
+
+async function _validate({
+  record, didDocumentFull = maintainerDidDocumentFull
+}) {
+  let operation = {
+    '@context': constants.WEB_LEDGER_CONTEXT_V1_URL,
+    creator: 'https://example.com/some/ledger/node',
+    type: 'CreateWebLedgerRecord',
+    record
+  };
+  const invokePublicKey = didDocumentFull.doc.capabilityInvocation[0];
+  operation = await didv1.attachInvocationProof({
+    operation,
+    capability: record.id,
+    capabilityAction: 'create',
+    key: didDocumentFull.keys[invokePublicKey.id],
+  });
+  operation = await helpers.attachAcceleratorProof({operation});
+  return voValidator.validate({
+    basisBlockHeight: 0,
+    ledgerConfig: mockData.ledgerConfigurations.alpha,
+    ledgerNode,
+    validatorInput: operation,
+    validatorConfig: mockData.ledgerConfigurations.alpha
+      .operationValidator[0]
+  });
+}
@@ -40,6 +40,55 @@ describe('validateConfiguration API', () => {
     should.exist(result.error);
     result.error.name.should.equal('ValidationError');
   });
+  it('rejects a config with an invalid approvedAccelerator', async () => {
+    const validatorConfig =
+      clone(mockData.ledgerConfigurations.alpha.operationValidator[0]);
+    validatorConfig.approvedAccelerator = ['https://example.com/accelerator'];
+    let err;
+    let result;
+    try {
+      result = await voValidator.validateConfiguration({validatorConfig});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.valid.should.be.a('boolean');
+    result.valid.should.be.false;
+    should.exist(result.error);
+    result.error.name.should.equal('ValidationError');
+  });
+  it('rejects a config with an unknown network', async () => {
+    const validatorConfig =
+      clone(mockData.ledgerConfigurations.alpha.operationValidator[0]);
+    validatorConfig.network = 'other';
+    let err;
+    let result;
+    try {
+      result = await voValidator.validateConfiguration({validatorConfig});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.valid.should.be.false;
+    should.exist(result.error);
+    result.error.name.should.equal('ValidationError');
+  });
+  it('rejects a test network config with live network DIDs', async () => {
+    const validatorConfig =
+      clone(mockData.ledgerConfigurations.alpha.operationValidator[0]);
+    validatorConfig.network = 'test';
+    let err;
+    let result;
+    try {
+      result = await voValidator.validateConfiguration({validatorConfig});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.valid.should.be.false;
+    should.exist(result.error);
+    result.error.name.should.equal('ValidationError');
+  });
   describe('validatorParameterSet', () => {
     // FIXME: enable when Veres One code is setting up a validatorParameterSet
     // document
@@ -1,10 +1,68 @@
 /*!
- * Copyright (c) 2017-2019 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
  */
 'use strict';
 
 const bedrock = require('bedrock');
 const {util: {clone, BedrockError}} = bedrock;
+const {documentLoader} = require('bedrock-jsonld-document-loader');
+const {Ed25519Signature2018} =
+  require('@digitalbazaar/ed25519-signature-2018');
+const {Ed25519VerificationKey2018} =
+  require('@digitalbazaar/ed25519-verification-key-2018');
+const jsigs = require('jsonld-signatures');
+const jsonpatch = require('fast-json-patch');
+const mockData = require('./mock.data');
+const {CapabilityInvocation} = require('@digitalbazaar/zcapld');
+
+// attaches a `write` capability invocation proof made by the mock accelerator
+exports.attachAcceleratorProof = async ({
+  operation, capability = mockData.ledgerConfigurations.alpha.ledger,
+  key = mockData.accelerator.capabilityInvocationKey
+}) => {
+  const signingKey = await Ed25519VerificationKey2018.from(key);
+  return jsigs.sign(operation, {
+    compactProof: false,
+    documentLoader,
+    suite: new Ed25519Signature2018({key: signingKey}),
+    purpose: new CapabilityInvocation({capability, capabilityAction: 'write'})
+  });
+};
+
+// creates an update of a did-veres-one DID document that adds a new
+// authentication key, signed by the DID's capabilityInvocation key and with
+// an accelerator proof
+exports.createUpdateOperation = async ({didDocument}) => {
+  const did = didDocument.id;
+  const doc = clone(didDocument.doc);
+  const observer = jsonpatch.observe(doc);
+  const newKey = await Ed25519VerificationKey2018.generate({controller: did});
+  doc.authentication.push({
+    id: `${did}#${newKey.fingerprint()}`,
+    type: newKey.type,
+    controller: did,
+    publicKeyBase58: newKey.publicKeyBase58
+  });
+  const mockOperation = clone(mockData.operations.update);
+  mockOperation.recordPatch.patch = jsonpatch.generate(observer);
+  mockOperation.recordPatch.target = did;
+  const s = await jsigs.sign(mockOperation, {
+    compactProof: false,
+    documentLoader,
+    suite: new Ed25519Signature2018(
+      {key: exports.getCapabilityInvocationKey({didDocument})}),
+    purpose: new CapabilityInvocation(
+      {capability: did, capabilityAction: 'update'})
+  });
+  return exports.attachAcceleratorProof({operation: s});
+};
+
+// gets the capabilityInvocation key of a did-veres-one DID document
+exports.getCapabilityInvocationKey = ({didDocument}) => {
+  const keyId = didDocument.getVerificationMethod(
+    {proofPurpose: 'capabilityInvocation'}).id;
+  return new Ed25519VerificationKey2018(didDocument.keys[keyId]);
+};
 
 exports.createMockLedgerNode = ({ldDocuments}) => {
   return {
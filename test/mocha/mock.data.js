@@ -38,11 +38,13 @@ mock.patchContext = [
 
 const privateDidDocuments = mock.privateDidDocuments = {};
 const validatorParameterSet = mock.validatorParameterSet = {};
-// TODO: for testnet v2, this proof is only validated using json-schema
+// an accelerator proof that is *not* a valid signature, it must be rejected
+// unless accelerator proofs are not verified by the protocol version
 mock.proof = {
   type: 'Ed25519Signature2018',
   created: '2019-01-10T23:10:25Z',
-  capability: 'did:v1:uuid:c37e914a-1e2a-4d59-9668-ee93458fd19a',
+  // the ledger of `mock.ledgerConfigurations.alpha`
+  capability: 'did:v1:c02915fc-672d-4568-8e6e-b12a0b35cbb3',
   capabilityAction: 'write',
   jws: 'MOCKPROOF',
   proofPurpose: 'capabilityInvocation',
@@ -50,6 +52,21 @@ mock.proof = {
     'P8T2CezuFY#z279tKmToKKMjQ8tsCgTbBBthw5xEzHWL6GCqZyQnzZr7wUo'
 };
 
+// the accelerator is authorized to write to the ledger via the
+// `approvedAccelerator` list in the operation validator config
+/* eslint-disable max-len */
+mock.accelerator = {
+  id: 'did:v1:nym:z6MkfjdPzVE5odp2RMwJG2m7inXqCCRpF4Z2Jd91rkRcLdJt',
+  capabilityInvocationKey: {
+    id: 'did:v1:nym:z6MkfjdPzVE5odp2RMwJG2m7inXqCCRpF4Z2Jd91rkRcLdJt#z6MkfjdPzVE5odp2RMwJG2m7inXqCCRpF4Z2Jd91rkRcLdJt',
+    type: 'Ed25519VerificationKey2018',
+    controller: 'did:v1:nym:z6MkfjdPzVE5odp2RMwJG2m7inXqCCRpF4Z2Jd91rkRcLdJt',
+    publicKeyBase58: '2HNMQEyeU6KZJs6baToGsgyqNd9xqBJfccE62UTbRQXW',
+    privateKeyBase58: '4hXwfa12ffrQBQkbwkVHKdsvuiSmaGTsYfh6azR2SW7ddmWTttT8qATH6TCe92ooCUQcM5659iHCVLvo8Ybc5xoE'
+  }
+};
+/* eslint-enable */
+
 // need to return document for beta but *not* for alpha
 const didAlpha = 'did:v1:uuid:40aea416-73b2-436f-bb91-41175494d72b';
 const didBeta = 'did:v1:nym:z6MkwCGzK8WaRM6mfshwpZhJLQpUZD5ePj4PFetLMYa2NCAg';
@@ -237,6 +254,7 @@ ledgerConfigurations.alpha = {
       validatorFilterByType: ['CreateWebLedgerRecord', 'UpdateWebLedgerRecord']
     }],
     validatorParameterSet: mock.VALIDATOR_PARAMETER_SET,
+    approvedAccelerator: [mock.accelerator.id],
   }],
   ledgerConfigurationValidator: [{
     type: 'VeresOneValidator2017',